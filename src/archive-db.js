@@ -0,0 +1,127 @@
+// Local archive of exported chats
+// Every extraction is stored in IndexedDB, keyed by conversation ID, so
+// chats can be searched and exported again after they are gone from Gemini
+
+var ChatArchive = (function() {
+  'use strict';
+
+  const DB_NAME = 'gemini-chat-exporter';
+  const DB_VERSION = 1;
+  const STORE = 'chats';
+
+  let dbPromise = null;
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @param {IDBRequest} request - Pending request
+   * @returns {Promise} Resolves with the request's result
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open the archive database, creating it on first use
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'conversationId' });
+      };
+      dbPromise = promisify(request).catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run a function against the chats store in a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns a request
+   * @returns {Promise} Resolves with the request's result
+   */
+  async function withStore(mode, operation) {
+    const db = await openDatabase();
+    const store = db.transaction(STORE, mode).objectStore(STORE);
+    return promisify(operation(store));
+  }
+
+  /**
+   * Build the lowercase text searched by search()
+   * @param {Object} chat - Structured chat data
+   * @returns {string} Title and message contents
+   */
+  function searchableText(chat) {
+    return [chat.title, ...chat.messages.map(msg => msg.content)].join('\n').toLowerCase();
+  }
+
+  /**
+   * Store a chat, replacing any earlier export of the same conversation
+   * @param {Object} chat - Structured chat data from the content script
+   * @returns {Promise<Object>} Stored record
+   */
+  async function save(chat) {
+    if (!chat.conversationId) {
+      throw new Error('Only saved conversations can be archived');
+    }
+
+    const record = {
+      conversationId: chat.conversationId,
+      title: chat.title,
+      url: chat.url,
+      exportedAt: chat.exportedAt,
+      messageCount: chat.messages.length,
+      text: searchableText(chat),
+      chat
+    };
+    await withStore('readwrite', store => store.put(record));
+    return record;
+  }
+
+  /**
+   * Get the stored export of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|undefined>} Record, or undefined if not archived
+   */
+  function get(conversationId) {
+    return withStore('readonly', store => store.get(conversationId));
+  }
+
+  /**
+   * List every archived chat, most recently exported first
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async function list() {
+    const records = await withStore('readonly', store => store.getAll());
+    return records.sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+  }
+
+  /**
+   * Find archived chats whose title or messages contain every word of a query
+   * @param {string} query - Search words
+   * @returns {Promise<Array<Object>>} Matching records, most recent first
+   */
+  async function search(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const records = await list();
+    return records.filter(record => words.every(word => record.text.includes(word)));
+  }
+
+  /**
+   * Delete a conversation from the archive
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise} Resolves once deleted
+   */
+  function remove(conversationId) {
+    return withStore('readwrite', store => store.delete(conversationId));
+  }
+
+  return { save, get, list, search, remove };
+})();
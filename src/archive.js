@@ -0,0 +1,208 @@
+// Archive page script for Gemini Chat Exporter
+// Lists the chats stored by ChatArchive, with search, export and delete
+
+(function() {
+  'use strict';
+
+  const searchInput = document.getElementById('search-input');
+  const formatSelect = document.getElementById('format-select');
+  const summaryEl = document.getElementById('summary');
+  const listEl = document.getElementById('chat-list');
+  const errorEl = document.getElementById('error');
+
+  // Export option for the code blocks of a chat, next to the FORMATS keys
+  const CODE_FORMAT = 'code';
+
+  // Characters of context shown on each side of a search match
+  const SNIPPET_CONTEXT = 80;
+
+  let searchTimer = null;
+
+  /**
+   * Show an error below the list
+   * @param {string} message - Error message
+   */
+  function showError(message) {
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  }
+
+  /**
+   * Find the first message text matching a search, with some context
+   * @param {Object} record - Archive record
+   * @param {string} query - Search words
+   * @returns {string} Excerpt, or the start of the chat without a query
+   */
+  function buildSnippet(record, query) {
+    const word = query.toLowerCase().split(/\s+/).find(Boolean);
+    const contents = record.chat.messages.map(msg => msg.content.replace(/\s+/g, ' '));
+
+    if (!word) {
+      const first = contents[0] || '';
+      return first.length > SNIPPET_CONTEXT * 2 ? `${first.slice(0, SNIPPET_CONTEXT * 2)}…` : first;
+    }
+
+    for (const content of contents) {
+      const index = content.toLowerCase().indexOf(word);
+      if (index === -1) continue;
+
+      const start = Math.max(0, index - SNIPPET_CONTEXT);
+      const end = Math.min(content.length, index + word.length + SNIPPET_CONTEXT);
+      return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+    }
+    return '';
+  }
+
+  /**
+   * Export an archived chat in the format picked in the toolbar
+   * @param {Object} record - Archive record
+   */
+  async function handleExport(record) {
+    errorEl.classList.add('hidden');
+
+    try {
+      const settings = await ExporterSettings.load();
+      const format = formatSelect.value;
+      const rendered = format === CODE_FORMAT
+        ? ChatRenderers.buildCodeExport(record.chat, settings)
+        : ChatRenderers.buildExport(record.chat, format, settings);
+
+      if (format === CODE_FORMAT && rendered.blockCount === 0) {
+        showError(`No code blocks found in "${record.title}".`);
+        return;
+      }
+
+      const result = rendered.files
+        ? await browser.runtime.sendMessage({ action: 'downloadZip', filename: rendered.filename, files: rendered.files })
+        : await browser.runtime.sendMessage({
+          action: 'download',
+          content: rendered.content,
+          filename: rendered.filename,
+          mimeType: rendered.mimeType
+        });
+
+      if (!result.success) {
+        showError(`Export failed: ${result.error}`);
+      }
+    } catch (error) {
+      showError(`Export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an archived chat after confirmation
+   * @param {Object} record - Archive record
+   */
+  async function handleDelete(record) {
+    if (!confirm(`Delete "${record.title}" from the archive?`)) return;
+
+    try {
+      await ChatArchive.remove(record.conversationId);
+      await refresh();
+    } catch (error) {
+      showError(`Delete failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the list item for an archived chat
+   * @param {Object} record - Archive record
+   * @param {string} query - Current search, for the snippet
+   * @returns {HTMLElement} List item
+   */
+  function buildItem(record, query) {
+    const item = document.createElement('li');
+
+    const info = document.createElement('div');
+    info.className = 'chat-info';
+
+    const title = document.createElement('p');
+    title.className = 'chat-title';
+    title.textContent = record.title;
+    title.title = record.title;
+
+    const meta = document.createElement('p');
+    meta.className = 'chat-meta';
+    const date = new Date(record.exportedAt).toLocaleString();
+    meta.append(`Exported ${date} · ${record.messageCount} messages · `);
+    const link = document.createElement('a');
+    link.href = record.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = 'Open in Gemini';
+    meta.appendChild(link);
+
+    const snippet = document.createElement('p');
+    snippet.className = 'chat-snippet';
+    snippet.textContent = buildSnippet(record, query);
+
+    info.append(title, meta, snippet);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn';
+    exportBtn.textContent = 'Export';
+    exportBtn.addEventListener('click', () => handleExport(record));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => handleDelete(record));
+
+    item.append(info, exportBtn, deleteBtn);
+    return item;
+  }
+
+  /**
+   * List the archived chats matching the search box
+   */
+  async function refresh() {
+    const query = searchInput.value.trim();
+
+    let records;
+    try {
+      records = query ? await ChatArchive.search(query) : await ChatArchive.list();
+    } catch (error) {
+      showError(`Could not open the archive: ${error.message}`);
+      return;
+    }
+
+    listEl.replaceChildren(...records.map(record => buildItem(record, query)));
+
+    if (query) {
+      summaryEl.textContent = `${records.length} ${records.length === 1 ? 'chat matches' : 'chats match'} "${query}"`;
+    } else if (records.length === 0) {
+      summaryEl.textContent = 'No archived chats yet. Chats are added here when you export them.';
+    } else {
+      summaryEl.textContent = `${records.length} archived ${records.length === 1 ? 'chat' : 'chats'}`;
+    }
+  }
+
+  // Initialize
+  async function init() {
+    Object.entries(ChatRenderers.FORMATS).forEach(([value, format]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = format.label;
+      formatSelect.appendChild(option);
+    });
+
+    const code = document.createElement('option');
+    code.value = CODE_FORMAT;
+    code.textContent = 'Code files (ZIP)';
+    formatSelect.appendChild(code);
+
+    const settings = await ExporterSettings.load();
+    formatSelect.value = ChatRenderers.FORMATS[settings.format] ? settings.format : 'markdown';
+
+    await refresh();
+  }
+
+  // Event listeners
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refresh, 200);
+  });
+
+  // Run init
+  init();
+})();
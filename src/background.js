@@ -1,26 +1,311 @@
-// Background script for handling downloads
+// Background script for handling downloads, keyboard shortcuts and the archive
 // This prevents the popup closing issue that causes download failures
 
-browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - File content
+ * @param {string} filename - Filename
+ * @param {boolean} saveAs - Whether to show the Save As dialog
+ * @param {string} conflictAction - What to do when the file exists, if not the browser default
+ * @returns {Promise} Promise resolving when the download starts
+ */
+function downloadBlob(blob, filename, saveAs, conflictAction) {
+  const url = URL.createObjectURL(blob);
+  const options = {
+    url: url,
+    filename: filename,
+    saveAs: saveAs
+  };
+  if (conflictAction) {
+    options.conflictAction = conflictAction;
+  }
+
+  return browser.downloads.download(options).then(() => {
+    // Clean up the blob URL after download starts
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }).catch((error) => {
+    URL.revokeObjectURL(url);
+    throw error;
+  });
+}
+
+/**
+ * Build the index.md table of contents for a ZIP export
+ * @param {Object} index - Index options with title and skipped chats
+ * @param {Array<Object>} files - ZIP entries; those with a title are listed
+ * @returns {string} Markdown table of contents
+ */
+function buildIndexMarkdown(index, files) {
+  const date = new Date().toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const chats = files.filter(file => file.title);
+
+  let markdown = `# ${index.title}\n\n`;
+  markdown += `*Exported from Gemini on ${date}*\n\n`;
+  markdown += `**Chats:** ${chats.length}\n\n`;
+
+  chats.forEach((file) => {
+    const count = file.messageCount ? ` (${file.messageCount} messages)` : '';
+    const title = file.title.replace(/[[\]]/g, '\\$&');
+    markdown += `- [${title}](${encodeURI(file.path)})${count}\n`;
+  });
+
+  if (index.failures && index.failures.length > 0) {
+    markdown += `\n## Skipped\n\n`;
+    index.failures.forEach((failure) => {
+      markdown += `- ${failure.title}: ${failure.error}\n`;
+    });
+  }
+
+  return markdown;
+}
+
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} filename - Filename
+ * @param {string} mimeType - MIME type, Markdown by default
+ * @returns {Promise} Promise resolving when the download starts
+ */
+function downloadText(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType || 'text/markdown;charset=utf-8' });
+  return downloadBlob(blob, filename, true);
+}
+
+/**
+ * Save text to a file in the downloads folder without asking
+ * Used by auto-save; an earlier save of the same chat is replaced
+ * @param {string} content - File content
+ * @param {string} filename - Path relative to the downloads folder
+ * @param {string} mimeType - MIME type
+ * @returns {Promise} Promise resolving when the download starts
+ */
+function saveTextSilently(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  return downloadBlob(blob, filename, false, 'overwrite');
+}
+
+/**
+ * Zip files and download the archive
+ * @param {string} filename - Archive filename
+ * @param {Array<Object>} files - Entries with path and content
+ * @param {Object} index - Options for an index.md table of contents, if wanted
+ * @returns {Promise} Promise resolving when the download starts
+ */
+async function downloadZip(filename, files, index) {
+  const entries = files.map(file => ({ path: file.path, content: file.content }));
+  if (index) {
+    entries.unshift({ path: 'index.md', content: buildIndexMarkdown(index, files) });
+  }
+
+  const zip = await ZipWriter.createZip(entries);
+  return downloadBlob(zip, filename, true);
+}
+
+/**
+ * Tell the Gemini page how an export started from outside the popup went
+ * @param {number} tabId - Gemini tab
+ * @param {string} text - Notice text
+ * @param {boolean} isError - Whether the notice reports a failure
+ */
+function notifyTab(tabId, text, isError = false) {
+  browser.tabs.sendMessage(tabId, { action: 'showNotice', text, isError }).catch(() => {
+    // The page was closed or reloaded; nothing to tell
+  });
+}
+
+/**
+ * Export or copy the chat open in a tab, as the popup would
+ * Used by keyboard shortcuts and the button injected into the page
+ * @param {Object} tab - Gemini tab
+ * @param {boolean} copy - Copy to the clipboard instead of downloading
+ * @returns {Promise<Object>} Result with success and a message or error
+ */
+async function exportFromTab(tab, copy) {
+  if (!tab || !tab.url || !tab.url.includes('gemini.google.com')) {
+    return { success: false, error: 'Open a Gemini chat to export it.' };
+  }
+
+  const settings = await ExporterSettings.load();
+  // Separate image files can't go on the clipboard, so link to the originals
+  const imageMode = copy && settings.imageMode === 'bundle' ? 'remote' : settings.imageMode;
+
+  let result;
+  try {
+    result = await browser.tabs.sendMessage(tab.id, { action: 'extractChat', imageMode });
+  } catch (error) {
+    result = { success: false, error: 'Could not communicate with the page. Please refresh the Gemini page and try again.' };
+  }
+  if (!result.success) {
+    return result;
+  }
+
+  if (copy) {
+    const rendered = ChatRenderers.render(result.chat, settings.format, settings);
+    await navigator.clipboard.writeText(rendered.content);
+    return { success: true, message: `Copied ${result.messageCount} messages to clipboard` };
+  }
+
+  const rendered = ChatRenderers.buildExport(result.chat, settings.format, settings);
+  if (rendered.files) {
+    await downloadZip(rendered.filename, rendered.files);
+  } else {
+    await downloadText(rendered.content, rendered.filename, rendered.mimeType);
+  }
+  return { success: true, message: `Exported ${result.messageCount} messages to ${rendered.filename}` };
+}
+
+/**
+ * Run a keyboard shortcut or in-page command on a tab and report the outcome there
+ * @param {string} command - 'export-chat' or 'copy-chat'
+ * @param {Object} tab - Tab the command applies to
+ * @returns {Promise<Object>} Result from exportFromTab
+ */
+async function runCommand(command, tab) {
+  const copy = command === 'copy-chat';
+  if (tab && tab.id !== undefined) {
+    notifyTab(tab.id, 'Scrolling through conversation...');
+  }
+
+  let result;
+  try {
+    result = await exportFromTab(tab, copy);
+  } catch (error) {
+    result = { success: false, error: `Export failed: ${error.message}` };
+  }
+
+  if (tab && tab.id !== undefined) {
+    notifyTab(tab.id, result.success ? result.message : result.error, !result.success);
+  }
+  return result;
+}
+
+// Context menu items on Gemini pages; each applies to a response or a code block
+const CONTEXT_MENU_ITEMS = [
+  { id: 'export-response', title: 'Export this response as Markdown', target: 'response' },
+  { id: 'copy-response', title: 'Copy this response as Markdown', target: 'response' },
+  { id: 'save-code', title: 'Save this code block as file', target: 'code' }
+];
+
+browser.runtime.onInstalled.addListener(() => {
+  CONTEXT_MENU_ITEMS.forEach(item => {
+    browser.contextMenus.create({
+      id: item.id,
+      title: item.title,
+      contexts: ['all'],
+      documentUrlPatterns: ['*://gemini.google.com/*']
+    });
+  });
+});
+
+// Show only the items that apply to what was right-clicked
+browser.contextMenus.onShown.addListener(async (info, tab) => {
+  if (!info.pageUrl || !info.pageUrl.includes('gemini.google.com')) return;
+
+  let target = { response: false, code: false };
+  try {
+    target = await browser.tabs.sendMessage(tab.id, { action: 'getContextTarget' });
+  } catch (error) {
+    // Content script not loaded; the items stay hidden
+  }
+
+  await Promise.all(CONTEXT_MENU_ITEMS.map(item => (
+    browser.contextMenus.update(item.id, { visible: !!target[item.target] })
+  )));
+  browser.contextMenus.refresh();
+});
+
+browser.contextMenus.onClicked.addListener(async (info, tab) => {
+  const item = CONTEXT_MENU_ITEMS.find(entry => entry.id === info.menuItemId);
+  if (!item) return;
+
+  let result;
+  try {
+    result = await browser.tabs.sendMessage(tab.id, { action: 'extractContextTarget', target: item.target });
+    if (result.success && item.id === 'copy-response') {
+      await navigator.clipboard.writeText(result.content);
+      result.message = 'Copied response to clipboard';
+    } else if (result.success) {
+      await downloadText(result.content, result.filename, result.mimeType);
+      result.message = `Saved ${result.filename}`;
+    }
+  } catch (error) {
+    result = { success: false, error: `Failed: ${error.message}` };
+  }
+
+  notifyTab(tab.id, result.success ? result.message : result.error, !result.success);
+});
+
+browser.commands.onCommand.addListener(async (command) => {
+  const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+  runCommand(command, tabs[0]);
+});
+
+browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'download') {
-    const { content, filename } = message;
-
-    const blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-
-    browser.downloads.download({
-      url: url,
-      filename: filename,
-      saveAs: true
-    }).then(() => {
-      // Clean up the blob URL after download starts
-      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    const { content, filename, mimeType } = message;
+
+    downloadText(content, filename, mimeType).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'downloadZip') {
+    const { filename, files, index } = message;
+
+    downloadZip(filename, files, index).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'saveFile') {
+    const { content, filename, mimeType } = message;
+
+    saveTextSilently(content, filename, mimeType).then(() => {
       sendResponse({ success: true });
     }).catch((error) => {
-      URL.revokeObjectURL(url);
       sendResponse({ success: false, error: error.message });
     });
 
     return true; // Keep message channel open for async response
   }
+
+  if (message.action === 'archiveChat') {
+    ChatArchive.save(message.chat).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'getArchivedChat') {
+    ChatArchive.get(message.conversationId).then((record) => {
+      sendResponse(record ? record.chat : null);
+    }).catch(() => {
+      sendResponse(null);
+    });
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'runCommand') {
+    runCommand(message.command, sender.tab).then(sendResponse);
+    return true; // Keep message channel open for async response
+  }
 });
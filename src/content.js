@@ -1,610 +1,1398 @@
 // Content script for extracting Gemini chat data
+// Answers the popup and background script and adds the in-page features; the
+// chat itself is read by ChatExtractor (extractor.js) and ChatScroller (scroller.js)
 
 (function() {
   'use strict';
 
+  const { escapeUrl } = ChatRenderers;
+  const {
+    selectors,
+    applySelectorProfile,
+    messageSelector,
+    mergeVisibleMessages,
+    collectSources,
+    numberCitations,
+    extractMessage,
+    detectPreLanguage,
+    getChatTitle,
+    appendGeneratedMedia,
+    findModelText,
+    extractThinking,
+    listMessageElements,
+    sleep,
+    waitFor,
+    getConversationId
+  } = ChatExtractor;
+  const { findScrollContainer, extractCurrentChat } = ChatScroller;
+
   /**
-   * Create a simple hash of content for deduplication
-   * @param {string} content - Content to hash
-   * @returns {string} Hash string
+   * Fetch an image the way the page would
+   * content.fetch runs in the page context, so Gemini's cookies apply and the
+   * page's blob: URLs resolve; the extension's own fetch is the fallback
+   * @param {string} src - Image URL
+   * @returns {Promise<Blob>} Image data
    */
-  function hashContent(content) {
-    if (!content) return '';
-    // Use first 100 chars + length as a simple hash
-    return content.substring(0, 100).trim() + '|' + content.length;
+  async function fetchImage(src) {
+    const fetchers = [];
+    if (typeof content !== 'undefined' && content.fetch) {
+      fetchers.push(url => content.fetch(url, { credentials: 'include' }));
+    }
+    fetchers.push(url => fetch(url, { credentials: 'include' }));
+
+    let lastError = null;
+    for (const fetcher of fetchers) {
+      try {
+        const response = await fetcher(src);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.blob();
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
   }
 
   /**
-   * Remove duplicate messages based on content similarity
-   * @param {Array} messages - Array of messages
-   * @returns {Array} Deduplicated messages
+   * Read a blob as a base64 data URI
+   * @param {Blob} blob - Blob to read
+   * @returns {Promise<string>} Data URI
    */
-  function deduplicateMessages(messages) {
-    const seen = new Set();
-    const result = [];
+  function blobToDataUri(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
 
-    for (const msg of messages) {
-      const hash = hashContent(msg.content);
-      if (!seen.has(hash)) {
-        seen.add(hash);
-        result.push(msg);
-      }
-    }
+  /**
+   * Pick a file extension for an image MIME type
+   * @param {string} mimeType - MIME type such as "image/png"
+   * @returns {string} File extension
+   */
+  function imageExtension(mimeType) {
+    const subtype = (mimeType || '').split('/')[1] || '';
+    const extensions = { jpeg: 'jpg', 'svg+xml': 'svg', 'x-icon': 'ico' };
+    return extensions[subtype] || subtype.replace(/[^a-z0-9]/g, '') || 'img';
+  }
+
+  /**
+   * Point every reference to an image at a new location
+   * @param {Object} message - Message from extractMessage
+   * @param {string} src - Original image URL
+   * @param {string} replacement - Data URI or relative path
+   */
+  function replaceImageSource(message, src, replacement) {
+    message.content = message.content.split(`](${escapeUrl(src)})`).join(`](${escapeUrl(replacement)})`);
+
+    const template = document.createElement('template');
+    template.innerHTML = message.html;
+    template.content.querySelectorAll('img').forEach(img => {
+      if (img.src === src) img.setAttribute('src', replacement);
+    });
+    message.html = template.innerHTML;
 
-    return result;
-  }
-
-  /**
-   * Extract text content from a message element, preserving formatting
-   * @param {Element} el - DOM element
-   * @returns {string} Message content
-   */
-  function extractMessageContent(el) {
-    // Clone to avoid modifying the actual DOM
-    const clone = el.cloneNode(true);
-
-    // Remove UI elements we don't want
-    const unwantedSelectors = [
-      'button',
-      '[class*="action"]',
-      '[class*="toolbar"]',
-      '[class*="copy"]',
-      '[class*="feedback"]',
-      '[class*="icon"]',
-      '[class*="avatar"]',
-      '[aria-hidden="true"]',
-      'mat-icon',
-      '.material-icons',
-      '[class*="thumb"]',
-      '[class*="rating"]',
-      '[class*="menu"]',
-      '[class*="label"]',
-      '[class*="header"]',
-      '[class*="sender"]',
-      '[class*="author"]'
-    ];
-
-    unwantedSelectors.forEach(selector => {
-      clone.querySelectorAll(selector).forEach(u => u.remove());
+    message.images.forEach(image => {
+      if (image.src === src) image.src = replacement;
     });
+  }
 
-    // Remove elements containing "You said" or "Gemini said" labels
-    clone.querySelectorAll('*').forEach(node => {
-      const text = node.textContent.trim();
-      if (text === 'You said' || text === 'Gemini said' ||
-          text === 'You' || text === 'Gemini') {
-        // Only remove if it's a small label element, not the whole message
-        if (text.length < 20 && node.children.length === 0) {
-          node.remove();
+  /**
+   * Resolve a chat's images according to the image export mode
+   * blob: URLs only live as long as the page, so they are embedded even in
+   * 'remote' mode. Images that cannot be fetched keep their original URL.
+   * @param {Object} chat - Chat data from extractCurrentChat
+   * @param {string} mode - 'remote', 'inline' or 'bundle'
+   * @param {string} prefix - Filename prefix for bundled images
+   */
+  async function resolveImages(chat, mode, prefix) {
+    const resolved = new Map();
+    chat.attachments = [];
+
+    for (const message of chat.messages) {
+      for (const image of [...message.images]) {
+        const src = image.src;
+        if (src.startsWith('data:')) continue;
+        if (mode === 'remote' && !src.startsWith('blob:')) continue;
+
+        if (!resolved.has(src)) {
+          try {
+            const blob = await fetchImage(src);
+            const dataUri = await blobToDataUri(blob);
+
+            if (mode === 'bundle') {
+              const path = `images/${prefix}-${chat.attachments.length + 1}.${imageExtension(blob.type)}`;
+              chat.attachments.push({ path, mimeType: blob.type, dataUri });
+              resolved.set(src, path);
+            } else {
+              resolved.set(src, dataUri);
+            }
+          } catch (error) {
+            resolved.set(src, src);
+          }
         }
+
+        replaceImageSource(message, src, resolved.get(src));
       }
-    });
+    }
+  }
 
-    // Process code blocks specially - find pre > code structures
-    const codeBlocks = clone.querySelectorAll('pre');
-    codeBlocks.forEach(pre => {
-      const codeEl = pre.querySelector('code') || pre;
-      const language = detectCodeLanguage(codeEl) || detectCodeLanguage(pre);
-      const codeText = codeEl.textContent;
-
-      // Replace with markdown code block
-      const marker = document.createElement('div');
-      marker.textContent = `\n\`\`\`${language}\n${codeText}\n\`\`\`\n`;
-      pre.replaceWith(marker);
-    });
+  /**
+   * Map export settings to extraction options
+   * @param {Object} settings - Export settings
+   * @returns {Object} Options for extractCurrentChat
+   */
+  function extractionOptions(settings) {
+    return {
+      thinking: settings.thinking !== 'omit',
+      drafts: settings.includeDrafts,
+      overlay: settings.scrollOverlay
+    };
+  }
 
-    // Handle inline code that's not in a pre block
-    clone.querySelectorAll('code:not(pre code)').forEach(code => {
-      const marker = document.createElement('span');
-      marker.textContent = `\`${code.textContent}\``;
-      code.replaceWith(marker);
-    });
+  /**
+   * Store an extracted chat in the local archive kept by the background script
+   * Partial exports (a selection) and unsaved chats are not archived
+   * @param {Object} chat - Structured chat data, before images are resolved
+   * @param {Object} settings - Export settings
+   */
+  async function archiveChat(chat, settings) {
+    if (!settings.archiveExports || !chat.conversationId || selection.active) return;
+
+    try {
+      await browser.runtime.sendMessage({ action: 'archiveChat', chat });
+    } catch (error) {
+      // The archive is a convenience; never fail an export over it
+    }
+  }
 
-    // Convert to markdown
-    return htmlToMarkdown(clone);
+  /**
+   * Load the last archived export of the open chat
+   * @returns {Promise<Object|null>} Archived chat, or null if there is none
+   */
+  async function loadArchivedChat() {
+    const conversationId = getConversationId();
+    if (!conversationId) return null;
+
+    try {
+      return await browser.runtime.sendMessage({ action: 'getArchivedChat', conversationId });
+    } catch (error) {
+      return null;
+    }
   }
 
+  // Selection mode: an overlay with a checkbox on every message, so export
+  // and copy can be limited to a few turns
+  const selection = {
+    active: false,
+    // IDs of checked messages
+    ids: new Set(),
+    // Keep only Gemini's answers from the chosen turns
+    onlyAssistant: false,
+    // Every message seen while selecting, in chat order, for range selection
+    known: [],
+    // Last checkbox clicked, the start of a shift-click range
+    anchorId: null,
+    // Layer above the page holding a checkbox and a frame per rendered
+    // message; Gemini's own elements are never touched, as Angular moves and
+    // drops anything added to them when it re-renders
+    layer: null,
+    // Checkbox and frame of each rendered message, by message ID
+    toggles: new Map(),
+    // Rendered messages and the scroll container, for placing the toggles
+    entries: [],
+    container: null,
+    layoutFrame: null,
+    observer: null,
+    refreshTimer: null
+  };
+
+  const SELECTION_STYLES = `
+    .gce-select-layer { position: fixed; z-index: 2147483646; overflow: hidden; pointer-events: none; }
+    .gce-select-frame { position: absolute; border-radius: 8px; pointer-events: none; }
+    .gce-select-frame.gce-selected { outline: 2px solid #1a73e8; outline-offset: 4px; }
+    .gce-select-toggle { position: absolute; transform: translateY(-100%); display: flex; align-items: center; gap: 6px; padding: 2px 6px; border-radius: 6px; background: Canvas; font: 13px/1.4 sans-serif; color: #1a73e8; cursor: pointer; user-select: none; pointer-events: auto; }
+    .gce-select-toggle input { width: 16px; height: 16px; cursor: pointer; }
+    .gce-select-toggle[hidden], .gce-select-frame[hidden] { display: none; }
+    .gce-select-bar { position: fixed; left: 50%; bottom: 24px; transform: translateX(-50%); z-index: 2147483647; display: flex; align-items: center; gap: 12px; padding: 10px 16px; background: #202124; color: #fff; border-radius: 12px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3); font: 13px/1.4 sans-serif; }
+    .gce-select-bar label { display: flex; align-items: center; gap: 6px; cursor: pointer; }
+    .gce-select-bar button { padding: 4px 10px; border: 1px solid #5f6368; border-radius: 6px; background: transparent; color: #fff; font: inherit; cursor: pointer; }
+    .gce-select-bar button.gce-done { background: #1a73e8; border-color: #1a73e8; }
+    .gce-select-hint { color: #9aa0a6; }
+  `;
+
   /**
-   * Detect programming language from code block
-   * @param {Element} codeBlock - Code block element
-   * @returns {string} Language identifier
+   * Count the turns an export would contain with the current selection
+   * @returns {number} Number of selected messages
    */
-  function detectCodeLanguage(codeBlock) {
-    if (!codeBlock) return '';
-    const classNames = codeBlock.className || '';
+  function countSelected() {
+    return selection.known.filter(entry => (
+      selection.ids.has(entry.id) && (!selection.onlyAssistant || entry.role === 'assistant')
+    )).length;
+  }
 
-    // Common language class patterns
-    const langMatch = classNames.match(/language-(\w+)|lang-(\w+)|(\w+)-code/);
-    if (langMatch) {
-      return langMatch[1] || langMatch[2] || langMatch[3];
+  /**
+   * Describe the selection for the popup
+   * @returns {Object} Whether selection mode is on, the selected count and the role filter
+   */
+  function getSelectionStatus() {
+    return {
+      active: selection.active,
+      count: countSelected(),
+      onlyAssistant: selection.onlyAssistant
+    };
+  }
+
+  /**
+   * Narrow extracted messages down to the selection
+   * With nothing checked the whole chat is chosen, so "only Gemini answers"
+   * on its own exports every answer
+   * @param {Array} messages - Messages in chat order
+   * @returns {Array} Chosen messages
+   */
+  function selectMessages(messages) {
+    let chosen = selection.ids.size > 0
+      ? messages.filter(msg => selection.ids.has(msg.id))
+      : messages;
+    if (selection.onlyAssistant) {
+      chosen = chosen.filter(msg => msg.role === 'assistant');
     }
+    return chosen;
+  }
 
-    // Check data attributes
-    const dataLang = codeBlock.getAttribute('data-language') ||
-                     codeBlock.getAttribute('data-lang');
-    if (dataLang) return dataLang;
+  /**
+   * Check or uncheck a message, or every message between the last one
+   * clicked and this one when shift is held
+   * @param {string} id - Message ID
+   * @param {boolean} checked - New state
+   * @param {boolean} range - Whether to apply the state to a range
+   */
+  function toggleSelected(id, checked, range) {
+    let ids = [id];
+
+    if (range && selection.anchorId) {
+      const from = selection.known.findIndex(entry => entry.id === selection.anchorId);
+      const to = selection.known.findIndex(entry => entry.id === id);
+      if (from !== -1 && to !== -1) {
+        ids = selection.known
+          .slice(Math.min(from, to), Math.max(from, to) + 1)
+          .map(entry => entry.id);
+      }
+    }
 
-    return '';
+    ids.forEach(selectedId => {
+      if (checked) {
+        selection.ids.add(selectedId);
+      } else {
+        selection.ids.delete(selectedId);
+      }
+    });
+    selection.anchorId = id;
+    refreshSelectionOverlay();
   }
 
   /**
-   * Convert HTML content to Markdown
-   * @param {Element} el - DOM element
-   * @returns {string} Markdown text
+   * Place each checkbox and frame over its message
+   * The layer covers the scroll container, so toggles scrolled out of the
+   * chat are clipped rather than drawn over Gemini's header
    */
-  function htmlToMarkdown(el) {
-    let html = el.innerHTML;
+  function layoutSelectionOverlay() {
+    selection.layoutFrame = null;
+    if (!selection.layer) return;
+
+    const bounds = selection.container && selection.container.isConnected
+      ? selection.container.getBoundingClientRect()
+      : { top: 0, left: 0, width: window.innerWidth, height: window.innerHeight };
+    Object.assign(selection.layer.style, {
+      top: `${bounds.top}px`,
+      left: `${bounds.left}px`,
+      width: `${bounds.width}px`,
+      height: `${bounds.height}px`
+    });
 
-    // Bold
-    html = html.replace(/<(strong|b)>([\s\S]*?)<\/\1>/gi, '**$2**');
+    selection.entries.forEach(({ el, id }) => {
+      const parts = selection.toggles.get(id);
+      if (!parts) return;
 
-    // Italic
-    html = html.replace(/<(em|i)>([\s\S]*?)<\/\1>/gi, '*$2*');
+      const rect = el.getBoundingClientRect();
+      const shown = el.isConnected && rect.height > 0;
+      parts.frame.hidden = !shown;
+      parts.toggle.hidden = !shown;
+      if (!shown) return;
 
-    // Links
-    html = html.replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)');
+      const top = `${rect.top - bounds.top}px`;
+      const left = `${rect.left - bounds.left}px`;
+      Object.assign(parts.frame.style, { top, left, width: `${rect.width}px`, height: `${rect.height}px` });
+      Object.assign(parts.toggle.style, { top, left });
+    });
+  }
 
-    // Headers
-    html = html.replace(/<h1[^>]*>([\s\S]*?)<\/h1>/gi, '\n# $1\n');
-    html = html.replace(/<h2[^>]*>([\s\S]*?)<\/h2>/gi, '\n## $1\n');
-    html = html.replace(/<h3[^>]*>([\s\S]*?)<\/h3>/gi, '\n### $1\n');
-    html = html.replace(/<h4[^>]*>([\s\S]*?)<\/h4>/gi, '\n#### $1\n');
-    html = html.replace(/<h5[^>]*>([\s\S]*?)<\/h5>/gi, '\n##### $1\n');
-    html = html.replace(/<h6[^>]*>([\s\S]*?)<\/h6>/gi, '\n###### $1\n');
+  /**
+   * Lay the overlay out again on the next frame, at most once per frame
+   */
+  function scheduleSelectionLayout() {
+    if (!selection.layoutFrame) {
+      selection.layoutFrame = requestAnimationFrame(layoutSelectionOverlay);
+    }
+  }
 
-    // Lists - handle nested lists better
-    html = html.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, '- $1\n');
-    html = html.replace(/<\/?[uo]l[^>]*>/gi, '\n');
+  /**
+   * Add checkboxes for newly rendered messages and sync all of them with the selection
+   * Gemini re-renders messages as the chat scrolls, so this runs on every DOM change
+   */
+  function refreshSelectionOverlay() {
+    if (!selection.active) return;
+
+    const entries = listMessageElements();
+    mergeVisibleMessages(selection.known, entries.map(({ id, role }) => ({ id, role })), false);
+    selection.entries = entries;
+    selection.container = findScrollContainer();
+
+    // Drop the toggles of messages Gemini no longer renders
+    const rendered = new Set(entries.map(entry => entry.id));
+    selection.toggles.forEach((parts, id) => {
+      if (rendered.has(id)) return;
+      parts.toggle.remove();
+      parts.frame.remove();
+      selection.toggles.delete(id);
+    });
 
-    // Paragraphs and line breaks
-    html = html.replace(/<br\s*\/?>/gi, '\n');
-    html = html.replace(/<\/p>/gi, '\n\n');
-    html = html.replace(/<p[^>]*>/gi, '');
+    entries.forEach(({ role, id }) => {
+      let parts = selection.toggles.get(id);
+      if (!parts) {
+        const frame = document.createElement('div');
+        frame.className = 'gce-select-frame';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'gce-select-toggle';
+        toggle.innerHTML = '<input type="checkbox"><span></span>';
+        toggle.querySelector('span').textContent = role === 'user' ? 'Include prompt' : 'Include answer';
+        toggle.querySelector('input').addEventListener('click', event => {
+          toggleSelected(id, event.target.checked, event.shiftKey);
+        });
 
-    // Divs as line breaks
-    html = html.replace(/<\/div>/gi, '\n');
-    html = html.replace(/<div[^>]*>/gi, '');
+        selection.layer.append(frame, toggle);
+        parts = { frame, toggle };
+        selection.toggles.set(id, parts);
+      }
 
-    // Spans (just remove tags, keep content)
-    html = html.replace(/<\/?span[^>]*>/gi, '');
+      const checked = selection.ids.has(id);
+      parts.toggle.querySelector('input').checked = checked;
+      parts.frame.classList.toggle('gce-selected', checked);
+    });
 
-    // Remove remaining HTML tags
-    html = html.replace(/<[^>]+>/g, '');
+    layoutSelectionOverlay();
 
-    // Decode HTML entities using DOMParser (safer than innerHTML)
-    const doc = new DOMParser().parseFromString(html, 'text/html');
-    html = doc.body.textContent || '';
+    const bar = document.getElementById('gce-select-bar');
+    if (bar) {
+      const count = countSelected();
+      bar.querySelector('.gce-select-count').textContent = selection.ids.size > 0
+        ? `${count} selected`
+        : (selection.onlyAssistant ? 'All Gemini answers' : 'Nothing selected: whole chat');
+      bar.querySelector('.gce-only-assistant').checked = selection.onlyAssistant;
+    }
+  }
 
-    // Clean up extra whitespace
-    html = html.replace(/\n{3,}/g, '\n\n');
-    html = html.replace(/[ \t]+$/gm, ''); // Remove trailing spaces
+  /**
+   * Turn on selection mode: inject the overlay and watch for re-rendered messages
+   */
+  function startSelection() {
+    if (selection.active) return;
+    selection.active = true;
+
+    const style = document.createElement('style');
+    style.id = 'gce-select-style';
+    style.textContent = SELECTION_STYLES;
+    document.head.appendChild(style);
+
+    const bar = document.createElement('div');
+    bar.id = 'gce-select-bar';
+    bar.className = 'gce-select-bar';
+    bar.innerHTML = `
+      <span class="gce-select-count"></span>
+      <label><input type="checkbox" class="gce-only-assistant">Only Gemini answers</label>
+      <span class="gce-select-hint">Shift-click to select from here to here</span>
+      <button type="button" class="gce-clear">Clear</button>
+      <button type="button" class="gce-done">Done</button>
+    `;
+    bar.querySelector('.gce-only-assistant').addEventListener('change', event => {
+      selection.onlyAssistant = event.target.checked;
+      refreshSelectionOverlay();
+    });
+    bar.querySelector('.gce-clear').addEventListener('click', () => {
+      selection.ids.clear();
+      selection.anchorId = null;
+      refreshSelectionOverlay();
+    });
+    bar.querySelector('.gce-done').addEventListener('click', stopSelection);
+    document.body.appendChild(bar);
+
+    selection.layer = document.createElement('div');
+    selection.layer.id = 'gce-select-layer';
+    selection.layer.className = 'gce-select-layer';
+    document.body.appendChild(selection.layer);
+
+    // The chat scrolls inside its own container; capture catches that too
+    document.addEventListener('scroll', scheduleSelectionLayout, true);
+    window.addEventListener('resize', scheduleSelectionLayout);
+
+    selection.observer = new MutationObserver(mutations => {
+      // Ignore the overlay's own changes
+      const external = mutations.some(mutation => (
+        !selection.layer.contains(mutation.target) && !bar.contains(mutation.target)
+      ));
+      if (!external) return;
+
+      clearTimeout(selection.refreshTimer);
+      selection.refreshTimer = setTimeout(refreshSelectionOverlay, 100);
+    });
+    selection.observer.observe(document.body, { childList: true, subtree: true });
 
-    // Remove "You said" / "Gemini said" labels that may have been captured
-    html = html.replace(/^You said\s*/i, '');
-    html = html.replace(/^Gemini said\s*/i, '');
-    html = html.replace(/\nYou said\s*/gi, '\n');
-    html = html.replace(/\nGemini said\s*/gi, '\n');
+    refreshSelectionOverlay();
+  }
 
-    html = html.trim();
+  /**
+   * Turn off selection mode, removing the overlay and forgetting the selection
+   */
+  function stopSelection() {
+    if (!selection.active) return;
+
+    selection.observer.disconnect();
+    clearTimeout(selection.refreshTimer);
+    cancelAnimationFrame(selection.layoutFrame);
+    document.removeEventListener('scroll', scheduleSelectionLayout, true);
+    window.removeEventListener('resize', scheduleSelectionLayout);
+    document.querySelectorAll('#gce-select-style, #gce-select-bar, #gce-select-layer').forEach(el => el.remove());
+
+    selection.active = false;
+    selection.ids.clear();
+    selection.onlyAssistant = false;
+    selection.known = [];
+    selection.anchorId = null;
+    selection.layer = null;
+    selection.toggles.clear();
+    selection.entries = [];
+    selection.container = null;
+    selection.layoutFrame = null;
+  }
+
+  // State of the running "export all chats" job, if any
+  const bulkExport = {
+    running: false,
+    cancelled: false,
+    done: 0,
+    total: 0,
+    current: '',
+    failures: []
+  };
+
+  /**
+   * Find the sidebar conversation entries currently in the DOM
+   * @returns {Array<Element>} Sidebar conversation elements
+   */
+  function findSidebarChatElements() {
+    const sidebar = document.querySelector(selectors.sidebar);
+    if (!sidebar) return [];
 
-    return html;
+    return Array.from(sidebar.querySelectorAll(selectors.sidebarChat))
+      // Skip wrappers whose link was already matched
+      .filter(el => el.tagName === 'A' || !el.querySelector('a[href*="/app/"]'));
   }
 
   /**
-   * Get the chat title/topic
-   * @returns {string} Chat title or default
+   * Describe a sidebar entry with a key that survives the list re-rendering
+   * Entries without a link are keyed by their position, as titles can repeat
+   * and the elements are recreated; loading more history only appends
+   * @param {Element} el - Sidebar conversation element
+   * @param {number} index - Position of the entry in the sidebar
+   * @returns {Object} Chat descriptor with key, title, path and position
    */
-  function getChatTitle() {
-    // Try to find title in sidebar or header
-    const titleSelectors = [
-      '[class*="conversation-title"]',
-      '[class*="chat-title"]',
-      '.title',
-      'h1'
-    ];
+  function describeSidebarChat(el, index) {
+    const title = el.textContent.trim().replace(/\s+/g, ' ');
+    const href = el.getAttribute('href');
+    const path = href ? new URL(href, location.origin).pathname : null;
+    return { key: path || `position:${index}`, title: title || 'Untitled chat', path, index };
+  }
 
-    for (const selector of titleSelectors) {
-      const el = document.querySelector(selector);
-      if (el && el.textContent.trim() && el.textContent.trim().length < 200) {
-        const text = el.textContent.trim();
-        // Skip generic titles that are just "Gemini" or similar
-        if (!text.toLowerCase().includes('gemini')) {
-          return text;
-        }
-      }
+  /**
+   * Scroll the sidebar to the end so lazily loaded history appears, then
+   * list every conversation in it
+   * @returns {Promise<Array<Object>>} Chat descriptors in sidebar order
+   */
+  async function listSidebarChats() {
+    const chats = new Map();
+    const collect = () => {
+      findSidebarChatElements().forEach((el, index) => {
+        const chat = describeSidebarChat(el, index);
+        if (!chats.has(chat.key)) chats.set(chat.key, chat);
+      });
+    };
+
+    collect();
+    const first = findSidebarChatElements()[0];
+    if (!first) return [];
+
+    // Find the scrollable ancestor of the conversation list
+    let container = first.parentElement;
+    while (container && container !== document.body) {
+      if (container.scrollHeight > container.clientHeight + 20) break;
+      container = container.parentElement;
     }
 
-    // Fall back to page title
-    const pageTitle = document.title;
-    if (pageTitle && !pageTitle.toLowerCase().includes('gemini')) {
-      return pageTitle;
+    if (container && container !== document.body) {
+      let stableCount = 0;
+      let previousSize = chats.size;
+      for (let i = 0; i < 200 && stableCount < 3; i++) {
+        container.scrollTop = container.scrollHeight;
+        await sleep(400);
+        collect();
+        stableCount = chats.size === previousSize ? stableCount + 1 : 0;
+        previousSize = chats.size;
+      }
+      container.scrollTop = 0;
     }
 
-    return 'Gemini Chat Export';
+    return Array.from(chats.values());
   }
 
   /**
-   * Format messages as Markdown
-   * @param {Array} messages - Array of message objects
-   * @param {string} title - Chat title
-   * @returns {string} Formatted Markdown
+   * Open a sidebar conversation and wait for it to render
+   * @param {Object} chat - Chat descriptor from listSidebarChats
    */
-  function formatAsMarkdown(messages, title) {
-    const now = new Date();
-    const date = now.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  async function openSidebarChat(chat) {
+    if (chat.path && location.pathname === chat.path) return;
+
+    const elements = findSidebarChatElements();
+    const el = chat.path
+      ? elements.find((candidate, index) => describeSidebarChat(candidate, index).path === chat.path)
+      : elements[chat.index];
+    if (!el) {
+      throw new Error('Conversation is no longer in the sidebar');
+    }
 
-    // Get timezone abbreviation (e.g., "PST", "EST", "UTC")
-    const timezone = now.toLocaleTimeString('en-US', { timeZoneName: 'short' }).split(' ').pop();
+    const previousPath = location.pathname;
+    el.scrollIntoView({ block: 'center' });
+    el.click();
 
-    // Count messages by role
-    const userCount = messages.filter(m => m.role === 'user').length;
-    const geminiCount = messages.filter(m => m.role === 'assistant').length;
-    const totalCount = messages.length;
+    const navigated = await waitFor(() => location.pathname !== previousPath);
+    if (!navigated) {
+      throw new Error('Timed out opening the conversation');
+    }
 
-    let markdown = `# ${title}\n\n`;
-    markdown += `*Exported from Gemini on ${date} ${timezone}*\n\n`;
-    markdown += `**Messages:** ${totalCount} total (👤 User: ${userCount}, 🤖 Gemini: ${geminiCount})\n\n`;
-    markdown += `---\n\n`;
+    // Let Gemini swap out the previous conversation before looking for turns
+    await sleep(1000);
+    const loaded = await waitFor(() => document.querySelector(messageSelector()));
+    if (!loaded) {
+      throw new Error('Timed out waiting for messages to load');
+    }
+  }
 
-    messages.forEach((msg, index) => {
-      if (msg.role === 'user') {
-        markdown += `## 👤 User\n\n`;
-      } else {
-        markdown += `## 🤖 Gemini\n\n`;
-      }
+  /**
+   * Go back to the chat that was open before an export of all chats
+   * @param {string} path - Path of that chat
+   */
+  async function returnToChat(path) {
+    if (location.pathname === path) return;
 
-      markdown += `${msg.content}\n\n`;
+    const el = findSidebarChatElements().find((candidate, index) =>
+      describeSidebarChat(candidate, index).path === path
+    );
+    if (el) {
+      el.scrollIntoView({ block: 'center' });
+      el.click();
+      await waitFor(() => location.pathname === path, 5000);
+      return;
+    }
 
-      if (index < messages.length - 1) {
-        markdown += `---\n\n`;
-      }
-    });
+    // Not in the sidebar (a new chat, for one): load it again
+    location.assign(path);
+  }
 
-    return markdown;
+  /**
+   * Report bulk export progress to the popup (if it is open)
+   * @param {string} action - Message action
+   */
+  function reportBulkProgress(action = 'bulkProgress') {
+    browser.runtime.sendMessage({
+      action,
+      done: bulkExport.done,
+      total: bulkExport.total,
+      current: bulkExport.current,
+      failures: bulkExport.failures,
+      cancelled: bulkExport.cancelled
+    }).catch(() => {
+      // Popup is closed; it picks up the state again via getBulkStatus
+    });
   }
 
   /**
-   * Find the scrollable chat container (main pane, not sidebar)
-   * @returns {Element|null} The scrollable container element
+   * Export every conversation listed in the sidebar
+   * Each chat is opened in turn and extracted with autoScrollConversation.
+   * Chats that fail are recorded and skipped rather than ending the run.
+   * Afterwards the chat that was open at the start is shown again.
    */
-  function findScrollContainer() {
+  async function runBulkExport() {
+    const startPath = location.pathname;
+    Object.assign(bulkExport, {
+      running: true,
+      cancelled: false,
+      done: 0,
+      total: 0,
+      current: 'Loading chat history...',
+      failures: []
+    });
+    reportBulkProgress();
 
-    // Try to find elements that contain the conversation messages
-    // Gemini uses user-query and model-response custom elements
-    const turnElements = document.querySelectorAll(
-      'user-query, model-response, conversation-turn, [class*="conversation-turn"], [data-turn-id]'
-    );
+    const files = [];
+    // A selection belongs to the open chat, not to the chats about to be opened
+    stopSelection();
 
-    if (turnElements.length > 0) {
-      // Find the scrollable parent of the first turn
-      let el = turnElements[0].parentElement;
-      while (el && el !== document.body) {
-        const style = window.getComputedStyle(el);
-        const isScrollable = (
-          el.scrollHeight > el.clientHeight + 20 &&
-          (style.overflowY === 'auto' || style.overflowY === 'scroll' || style.overflowY === 'overlay')
-        );
-
-        if (isScrollable) {
-          return el;
-        }
-        el = el.parentElement;
-      }
-    }
+    // index.md is the archive's table of contents
+    const usedNames = new Set(['index.md']);
+
+    try {
+      const settings = await ExporterSettings.load();
+      const { format, imageMode } = settings;
+      const chats = await listSidebarChats();
+      bulkExport.total = chats.length;
 
-    // Try looking for common chat container patterns
-    const chatSelectors = [
-      '[class*="response-container"]',
-      '[class*="chat-history"]',
-      '[class*="message-list"]',
-      '[class*="conversation-content"]',
-      '[class*="chat-content"]'
-    ];
-
-    for (const selector of chatSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        // Check if this element or a parent is scrollable
-        let current = el;
-        while (current && current !== document.body) {
-          if (current.scrollHeight > current.clientHeight + 20) {
-            return current;
+      for (const chat of chats) {
+        if (bulkExport.cancelled) break;
+
+        bulkExport.current = chat.title;
+        reportBulkProgress();
+
+        try {
+          await openSidebarChat(chat);
+          const chatData = await extractCurrentChat(extractionOptions(settings));
+          if (chatData.messages.length === 0) {
+            throw new Error('No chat messages found');
           }
-          current = current.parentElement;
-        }
-      }
-    }
 
-    // Look for any element with significant scroll that's in the right portion of screen
-    const candidates = [];
-    document.querySelectorAll('*').forEach(el => {
-      if (el.scrollHeight > el.clientHeight + 100 && el.clientHeight > 300) {
-        const rect = el.getBoundingClientRect();
-        const style = window.getComputedStyle(el);
+          if (chatData.title === 'Gemini Chat Export') {
+            chatData.title = chat.title;
+          }
 
-        // Must be scrollable
-        if (style.overflowY !== 'auto' && style.overflowY !== 'scroll' && style.overflowY !== 'overlay') {
-          return;
+          // Name the file first so bundled images can share its prefix
+          const extension = (ChatRenderers.FORMATS[format] || ChatRenderers.FORMATS.markdown).extension;
+          let filename = ChatRenderers.generateFilename(chatData.title, extension);
+          for (let n = 2; usedNames.has(filename); n++) {
+            filename = ChatRenderers.generateFilename(`${chatData.title} ${n}`, extension);
+          }
+          usedNames.add(filename);
+
+          await archiveChat(chatData, settings);
+          await resolveImages(chatData, imageMode, filename.replace(/\.[^.]+$/, ''));
+          files.push({
+            path: filename,
+            title: chatData.title,
+            messageCount: chatData.messages.length,
+            content: ChatRenderers.render(chatData, format, settings).content
+          }, ...ChatRenderers.attachmentFiles(chatData));
+        } catch (error) {
+          bulkExport.failures.push({ title: chat.title, error: error.message });
         }
 
-        // Exclude elements on far left (sidebar) - sidebar is usually < 300px wide and starts at 0
-        if (rect.left < 50 && rect.width < 350) {
-          return;
-        }
+        bulkExport.done++;
+        reportBulkProgress();
+      }
 
-        candidates.push({
-          el,
-          rect,
-          scrollHeight: el.scrollHeight,
-          area: rect.width * rect.height
+      if (files.length > 0) {
+        const date = new Date().toISOString().split('T')[0];
+        await browser.runtime.sendMessage({
+          action: 'downloadZip',
+          filename: `gemini-export-${date}.zip`,
+          files,
+          index: { title: 'Gemini Chat Export', failures: bulkExport.failures }
         });
       }
-    });
-
-    // Sort by area (largest first)
-    candidates.sort((a, b) => b.area - a.area);
+    } catch (error) {
+      bulkExport.failures.push({ title: 'Chat history', error: error.message });
+    } finally {
+      bulkExport.running = false;
+      bulkExport.current = '';
+      reportBulkProgress('bulkComplete');
+    }
 
-    if (candidates.length > 0) {
-      return candidates[0].el;
+    try {
+      await returnToChat(startPath);
+    } catch (error) {
+      // The export is done; staying on the last chat is no reason to fail it
     }
+  }
+
+  // Element last right-clicked, resolved when a context menu item is chosen
+  let contextTarget = null;
+  document.addEventListener('contextmenu', event => {
+    contextTarget = event.target;
+  }, true);
 
-    // Last resort: use window scrolling
-    return null;
+  /**
+   * Report what the last right-click landed on, so menu items can be shown or hidden
+   * @returns {Object} Whether it was inside a Gemini response and inside a code block
+   */
+  function describeContextTarget() {
+    const el = contextTarget && contextTarget.closest ? contextTarget : null;
+    return {
+      response: !!(el && el.closest(selectors.assistantMessage)),
+      code: !!(el && el.closest('pre') && el.closest(messageSelector()))
+    };
   }
 
   /**
-   * Extract messages from currently visible content
-   * @param {Array} messages - Messages array to append to
-   * @param {Set} seenContent - Set of seen content hashes for deduplication
-   * @param {boolean} prepend - Whether to prepend messages (for older content when scrolling up)
+   * Extract the response or code block that was right-clicked
+   * @param {string} target - 'response' or 'code'
+   * @returns {Promise<Object>} Result with the file content, filename and MIME type
    */
-  function extractVisibleMessages(messages, seenContent, prepend = false) {
-    // Gemini uses custom Angular elements: <user-query> and <model-response>
-    // These are siblings in the DOM, not nested in a container together
-    const messageElements = document.querySelectorAll('user-query, model-response');
+  async function extractContextTarget(target) {
+    const el = contextTarget && contextTarget.closest ? contextTarget : null;
+    const title = getChatTitle();
+
+    if (target === 'code') {
+      const pre = el && el.closest('pre');
+      if (!pre) {
+        return { success: false, error: 'Right-click inside a code block to save it.' };
+      }
 
-    const newMessages = [];
+      const language = detectPreLanguage(pre);
+      const code = (pre.querySelector('code') || pre).textContent.replace(/\n?$/, '\n');
+      return {
+        success: true,
+        content: code,
+        filename: ChatRenderers.generateFilename(`${title} code`, ChatRenderers.codeFileExtension(language)),
+        mimeType: 'text/plain;charset=utf-8'
+      };
+    }
 
-    messageElements.forEach((el) => {
-      const isUserQuery = el.tagName === 'USER-QUERY';
-      const isModelResponse = el.tagName === 'MODEL-RESPONSE';
+    const responseEl = el && el.closest(selectors.assistantMessage);
+    if (!responseEl) {
+      return { success: false, error: 'Right-click inside a Gemini response to export it.' };
+    }
 
-      if (isUserQuery) {
-        // Extract user message content
-        const content = extractMessageContent(el);
-        const hash = hashContent(content);
-        if (content && content.trim() && !seenContent.has(hash)) {
-          seenContent.add(hash);
-          newMessages.push({ role: 'user', content: content.trim() });
-        }
-      } else if (isModelResponse) {
-        // Extract model response content
-        const modelTextEl = el.querySelector(
-          '.model-response-text message-content, ' +
-          '.model-response-text .markdown, ' +
-          '.model-response-text'
-        );
-
-        const contentEl = modelTextEl || el;
-        const content = extractMessageContent(contentEl);
-        const hash = hashContent(content);
-
-        if (content && content.trim() && !seenContent.has(hash)) {
-          seenContent.add(hash);
-          newMessages.push({ role: 'assistant', content: content.trim() });
-        }
-      }
-    });
+    const modelTextEl = findModelText(responseEl);
+    const message = extractMessage(modelTextEl || responseEl, 'assistant', collectSources(responseEl));
+    if (modelTextEl) {
+      appendGeneratedMedia(message, responseEl, modelTextEl);
+    }
 
-    // If prepending, add new messages to the beginning (they're older)
-    // If appending, add to the end (default behavior)
-    if (prepend && newMessages.length > 0) {
-      messages.unshift(...newMessages);
-    } else {
-      messages.push(...newMessages);
+    const settings = await ExporterSettings.load();
+    if (settings.thinking !== 'omit') {
+      // Only reasoning already on screen; a single response isn't worth opening panels for
+      const thinking = extractThinking(responseEl);
+      if (thinking) message.thinking = thinking;
     }
+    numberCitations([message]);
+
+    return {
+      success: true,
+      content: ChatRenderers.formatMessageMarkdown(message, settings) + '\n',
+      filename: ChatRenderers.generateFilename(`${title} response`, 'md'),
+      mimeType: 'text/markdown;charset=utf-8'
+    };
   }
 
+  const PAGE_STYLES = `
+    .gce-export-button { display: inline-flex; align-items: center; margin: 0 8px; padding: 6px 14px; border: 1px solid #dadce0; border-radius: 18px; background: transparent; color: inherit; font: 500 13px/1.4 sans-serif; cursor: pointer; }
+    .gce-export-button:hover:not(:disabled) { background: rgba(26, 115, 232, 0.08); }
+    .gce-export-button:disabled { opacity: 0.6; cursor: default; }
+    .gce-notice { position: fixed; right: 24px; bottom: 24px; z-index: 2147483647; max-width: 360px; padding: 10px 16px; background: #202124; color: #fff; border-radius: 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3); font: 13px/1.4 sans-serif; }
+    .gce-notice.gce-error { background: #b3261e; }
+    .gce-scroll-overlay { position: fixed; z-index: 2147483646; display: flex; align-items: center; justify-content: center; background: Canvas; color: CanvasText; font: 500 15px/1.4 sans-serif; }
+  `;
+
+  let noticeTimer = null;
+
   /**
-   * Auto-scroll through the conversation to load all messages
-   * Extracts messages during scrolling to handle virtual scrolling
-   * @param {Array} messages - Messages array to populate
-   * @param {Set} seenContent - Set of seen content hashes for deduplication
-   * @returns {Promise} Resolves when scrolling is complete
+   * Briefly show a notice in the page, for exports started without the popup
+   * @param {string} text - Notice text
+   * @param {boolean} isError - Whether the notice reports a failure
    */
-  async function autoScrollConversation(messages, seenContent) {
-    const container = findScrollContainer();
-
-    // Disable scroll anchoring which can interfere with programmatic scrolling
-    if (container) {
-      container.style.overflowAnchor = 'none';
+  function showNotice(text, isError = false) {
+    let notice = document.getElementById('gce-notice');
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.id = 'gce-notice';
+      notice.setAttribute('role', 'status');
+      document.body.appendChild(notice);
     }
 
-    // Helper functions for scrolling (works with element or window)
-    const getScrollTop = () => {
-      if (container) return container.scrollTop;
-      return window.scrollY || document.documentElement.scrollTop;
-    };
+    notice.textContent = text;
+    notice.className = isError ? 'gce-notice gce-error' : 'gce-notice';
 
-    const getScrollHeight = () => {
-      if (container) return container.scrollHeight;
-      return document.documentElement.scrollHeight;
-    };
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => notice.remove(), isError ? 8000 : 4000);
+  }
 
-    const getClientHeight = () => {
-      if (container) return container.clientHeight;
-      return window.innerHeight;
-    };
+  /**
+   * Handle a click on the injected export button
+   * The background script runs the same export as the keyboard shortcut
+   * @param {Event} event - Click event
+   */
+  async function handleExportButton(event) {
+    const button = event.currentTarget;
+    button.disabled = true;
+    button.textContent = 'Exporting...';
+
+    try {
+      await browser.runtime.sendMessage({ action: 'runCommand', command: 'export-chat' });
+    } catch (error) {
+      showNotice(`Export failed: ${error.message}`, true);
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Export';
+    }
+  }
 
-    const scrollBy = (amount) => {
-      if (container) {
-        container.scrollTop += amount;
-      } else {
-        window.scrollBy(0, amount);
-      }
-    };
+  /**
+   * Put the export button into the conversation header if it isn't there
+   * Gemini re-renders the header when switching chats, so this is re-run on DOM changes
+   */
+  function ensureExportButton() {
+    if (document.getElementById('gce-export-button')) return;
+
+    const header = selectors.header
+      .map(selector => document.querySelector(selector))
+      .find(Boolean);
+    if (!header) return;
+
+    const button = document.createElement('button');
+    button.id = 'gce-export-button';
+    button.type = 'button';
+    button.className = 'gce-export-button';
+    button.textContent = 'Export';
+    button.title = 'Export this chat with your saved settings (Alt+Shift+E)';
+    button.addEventListener('click', handleExportButton);
+    header.prepend(button);
+  }
 
-    const setScrollTop = (value) => {
-      if (container) {
-        container.scrollTop = value;
-      } else {
-        window.scrollTo(0, value);
-      }
-    };
+  const pageStyle = document.createElement('style');
+  pageStyle.id = 'gce-page-style';
+  pageStyle.textContent = PAGE_STYLES;
+  document.head.appendChild(pageStyle);
+
+  // Check at most every 300ms; the page changes constantly while a response streams
+  let headerTimer = null;
+  new MutationObserver(() => {
+    if (headerTimer) return;
+    headerTimer = setTimeout(() => {
+      headerTimer = null;
+      ensureExportButton();
+    }, 300);
+  }).observe(document.body, { childList: true, subtree: true });
+  ensureExportButton();
+
+  // Auto-save: export the chat on its own whenever Gemini finishes a response
+  // Quiet time after the last page change before saving
+  const AUTO_SAVE_DELAY = 2000;
+
+  const autoSave = {
+    observer: null,
+    timer: null,
+    // A response has been streaming since the last save
+    pending: false,
+    running: false,
+    // Chat saved last, so the next save only scrolls back to it
+    previous: null
+  };
 
-    // Gemini uses virtual scrolling - extract messages during scroll
-    // Start at the bottom to ensure we capture newest messages first
+  /**
+   * Check whether Gemini is still writing a response
+   * @returns {boolean} Whether a streaming indicator is on the page
+   */
+  function isStreaming() {
+    return selectors.streaming.some(selector => document.querySelector(selector));
+  }
 
-    // Jump to bottom first and wait for content to stabilize
-    setScrollTop(getScrollHeight());
-    await sleep(200);
+  /**
+   * Check whether auto-save is turned on for this site
+   * @param {Object} settings - Export settings
+   * @returns {boolean} Whether chats on this site are saved automatically
+   */
+  function autoSaveEnabled(settings) {
+    return settings.autoSaveSites.includes(location.hostname) &&
+      (settings.autoSaveArchive || settings.autoSaveDownloads);
+  }
 
-    // Extract at current position (bottom) - these are the newest messages
-    extractVisibleMessages(messages, seenContent, false);
+  /**
+   * Build the path of an auto-saved file inside the downloads folder
+   * The name has no date, so each save of a chat replaces the last one
+   * @param {Object} chat - Structured chat data
+   * @param {string} folder - Subfolder of the downloads folder
+   * @param {string} extension - File extension without the dot
+   * @returns {string} Relative path
+   */
+  function autoSavePath(chat, folder, extension) {
+    const safeFolder = folder
+      .split(/[\\/]+/)
+      .map(part => part.replace(/[<>:"|?*\x00-\x1f]/g, '').trim())
+      .filter(part => part && part !== '.' && part !== '..')
+      .join('/');
+    const name = `gemini-${ChatRenderers.slugify(chat.title) || 'chat'}-${chat.conversationId}.${extension}`;
+    return safeFolder ? `${safeFolder}/${name}` : name;
+  }
 
-    // Wait and extract again in case more content loaded
-    await sleep(100);
-    extractVisibleMessages(messages, seenContent, false);
+  /**
+   * Save the open chat to the archive and/or the downloads folder
+   * Runs once the page has been quiet for AUTO_SAVE_DELAY after a response
+   */
+  async function runAutoSave() {
+    autoSave.timer = null;
+    if (isStreaming()) return; // The next page change schedules another try
+
+    // Wait for an export in progress to finish scrolling
+    if (autoSave.running || ChatScroller.isExtracting() || bulkExport.running || selection.active) {
+      autoSave.timer = setTimeout(runAutoSave, AUTO_SAVE_DELAY);
+      return;
+    }
 
-    // Use 70% of viewport height to ensure good overlap between scroll positions
-    const scrollStep = Math.max(400, Math.floor(getClientHeight() * 0.7));
-    let stuckCount = 0;
-    let scrollCount = 0;
-    const maxScrolls = 500;
+    const conversationId = getConversationId();
+    if (!conversationId) return;
+
+    autoSave.pending = false;
+    autoSave.running = true;
+    try {
+      const settings = await ExporterSettings.load();
+      if (!autoSaveEnabled(settings)) return;
+
+      const previous = autoSave.previous && autoSave.previous.conversationId === conversationId
+        ? autoSave.previous
+        : await loadArchivedChat();
+      // Only the messages on the page are read, added to the last save: scrolling
+      // would move the reader's view after every response. Nothing is clicked
+      // either: showing a draft makes Gemini continue from it, and only
+      // reasoning panels the reader opened are saved
+      const chat = await extractCurrentChat({
+        ...extractionOptions(settings),
+        drafts: false,
+        expandThinking: false,
+        previous,
+        scroll: false
+      });
+      if (chat.messages.length === 0) return;
+      autoSave.previous = chat;
+
+      if (settings.autoSaveArchive) {
+        await browser.runtime.sendMessage({ action: 'archiveChat', chat });
+      }
+      if (settings.autoSaveDownloads) {
+        // Images keep their URLs; a silent save can't bundle or fetch them
+        const rendered = ChatRenderers.render(chat, settings.format, settings);
+        const extension = rendered.filename.split('.').pop();
+        await browser.runtime.sendMessage({
+          action: 'saveFile',
+          content: rendered.content,
+          filename: autoSavePath(chat, settings.autoSaveFolder, extension),
+          mimeType: rendered.mimeType
+        });
+      }
+    } catch (error) {
+      // Saved quietly or not at all; the next response tries again
+    } finally {
+      autoSave.running = false;
+    }
+  }
 
-    // Scroll UP through the conversation to load older messages
-    while (scrollCount < maxScrolls) {
-      const previousScrollTop = getScrollTop();
-      const previousScrollHeight = getScrollHeight();
-      const previousMessageCount = messages.length;
+  /**
+   * Watch for responses finishing, debouncing saves until the page is quiet
+   */
+  function handleConversationMutations() {
+    if (isStreaming()) autoSave.pending = true;
+    if (!autoSave.pending) return;
 
-      // Scroll UP (negative direction)
-      scrollBy(-scrollStep);
+    clearTimeout(autoSave.timer);
+    autoSave.timer = setTimeout(runAutoSave, AUTO_SAVE_DELAY);
+  }
 
-      // Wait for content to load - short base delay, adaptive logic will extend if needed
-      await sleep(50);
+  /**
+   * Start or stop watching the conversation to match the settings
+   * @param {Object} settings - Export settings
+   */
+  function configureAutoSave(settings) {
+    const enabled = autoSaveEnabled(settings);
+
+    if (enabled && !autoSave.observer) {
+      autoSave.observer = new MutationObserver(handleConversationMutations);
+      autoSave.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    } else if (!enabled && autoSave.observer) {
+      autoSave.observer.disconnect();
+      autoSave.observer = null;
+      clearTimeout(autoSave.timer);
+      autoSave.timer = null;
+      autoSave.pending = false;
+    }
+  }
 
-      // Extract visible messages - prepend since we're scrolling up (older messages)
-      extractVisibleMessages(messages, seenContent, true);
+  /**
+   * Apply settings that take effect without an export: selectors and auto-save
+   * @param {Object} settings - Export settings
+   */
+  function applySettings(settings) {
+    applySelectorProfile(settings);
+    configureAutoSave(settings);
+  }
 
-      let currentScrollTop = getScrollTop();
-      let currentScrollHeight = getScrollHeight();
+  ExporterSettings.load().then(applySettings);
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.settings) {
+      applySettings({ ...ExporterSettings.DEFAULTS, ...changes.settings.newValue });
+    }
+  });
 
-      // Adaptive waiting: if content changed, Gemini may still be loading more
-      // Wait and check again in a loop until content stabilizes
-      let adaptiveLoops = 0;
-      while (adaptiveLoops < 5) {
-        await sleep(75);
-        extractVisibleMessages(messages, seenContent, true);
-        const newScrollHeight = getScrollHeight();
-        const newMessageCount = messages.length;
+  /**
+   * Extract the open chat for an export: archive it and resolve its images
+   * @param {Object} request - imageMode, and update to extend the archived export
+   * @param {Object} control - Extraction control: onProgress callback and a
+   *   cancelled flag the caller may set to stop scrolling early
+   * @returns {Promise<Object>} Result with the chat, or an error
+   */
+  async function runExtractChat(request, control = {}) {
+    if (bulkExport.running) {
+      return { success: false, error: 'An export of all chats is in progress.' };
+    }
+    if (request.update && selection.active) {
+      return { success: false, error: 'Click Done to leave selection mode before updating an export.' };
+    }
 
-        if (newScrollHeight === currentScrollHeight && newMessageCount === messages.length) {
-          // Content has stabilized
-          break;
-        }
+    try {
+      const settings = await ExporterSettings.load();
+      const previous = request.update ? await loadArchivedChat() : null;
+      const chat = await extractCurrentChat({
+        ...extractionOptions(settings),
+        filter: selection.active ? selectMessages : null,
+        previous,
+        control
+      });
+
+      if (chat.messages.length === 0) {
+        return {
+          success: false,
+          error: control.cancelled
+            ? 'Cancelled before any messages were found.'
+            : selection.active
+              ? 'None of the selected messages were found. Select some turns or click Done to export the whole chat.'
+              : 'No chat messages found. Make sure you are on a Gemini chat page with an active conversation. ' +
+                'If Gemini\'s page has changed, check the page selectors in Settings, or use Diagnostics in the ' +
+                'popup to save a report for an issue.'
+        };
+      }
 
-        // Content still changing - update and continue waiting
-        currentScrollHeight = newScrollHeight;
-        adaptiveLoops++;
+      // A partial chat would replace a complete one in the archive
+      if (!control.cancelled) {
+        await archiveChat(chat, settings);
       }
 
-      // Check if scrollHeight changed (new content loaded)
-      if (currentScrollHeight > previousScrollHeight) {
-        stuckCount = 0;
+      const imageMode = request.imageMode || settings.imageMode;
+      await resolveImages(chat, imageMode, ChatRenderers.slugify(chat.title) || 'image');
+
+      let update = null;
+      if (request.update) {
+        const known = new Set(previous ? previous.messages.map(msg => msg.id) : []);
+        update = {
+          since: previous ? previous.exportedAt : null,
+          newMessageIds: chat.messages.filter(msg => !known.has(msg.id)).map(msg => msg.id)
+        };
       }
 
-      // Check if we've reached the top or are stuck
-      if (Math.abs(currentScrollTop - previousScrollTop) < 10) {
-        stuckCount++;
-        if (stuckCount >= 3) {
-          break;
-        }
-      } else {
-        stuckCount = 0;
+      return {
+        success: true,
+        chat: chat,
+        messageCount: chat.messages.length,
+        cancelled: !!control.cancelled,
+        update
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to extract chat: ${error.message}`
+      };
+    }
+  }
+
+  // Diagnostics: a report on how the extension sees the page, for bug
+  // reports. It holds no chat content: text is replaced by placeholders and
+  // attribute values are masked unless they only describe the markup
+  const DIAGNOSTICS_SCHEMA = 'gemini-chat-exporter-diagnostics';
+
+  // Attributes whose values are kept in the DOM skeletons
+  const SKELETON_ATTRIBUTES = ['class', 'role', 'data-test-id', 'aria-expanded', 'aria-busy', 'aria-hidden', 'type'];
+
+  // Elements whose contents are left out of the skeletons
+  const SKELETON_OPAQUE = ['svg', 'script', 'style', 'noscript', 'mat-icon'];
+
+  // Lines per skeleton, to keep the report small enough to attach
+  const SKELETON_MAX_LINES = 400;
+
+  /**
+   * Describe an element's opening tag without any content
+   * @param {Element} el - Element to describe
+   * @returns {string} Tag with kept attribute values and masked others
+   */
+  function describeTag(el) {
+    const attrs = Array.from(el.attributes).map((attr) => {
+      if (SKELETON_ATTRIBUTES.includes(attr.name)) {
+        return `${attr.name}="${attr.value.replace(/\s+/g, ' ').trim()}"`;
       }
+      return attr.value ? `${attr.name}="…"` : attr.name;
+    });
+    return `<${[el.tagName.toLowerCase(), ...attrs].join(' ')}>`;
+  }
 
-      // Check if at top
-      if (currentScrollTop <= 10) {
-        break;
+  /**
+   * Outline an element's DOM with text replaced by placeholders
+   * @param {Element} root - Element to outline
+   * @param {number} maxDepth - Levels below the root to include
+   * @returns {Array<string>} One indented line per element or text run
+   */
+  function buildSkeleton(root, maxDepth = Infinity) {
+    const lines = [];
+    let omitted = 0;
+
+    const visit = (el, depth) => {
+      if (lines.length >= SKELETON_MAX_LINES) {
+        omitted++;
+        return;
       }
 
-      scrollCount++;
-    }
+      const indent = '  '.repeat(depth);
+      const tag = describeTag(el);
+      const children = Array.from(el.childNodes).filter(node =>
+        node.nodeType === Node.ELEMENT_NODE ||
+        (node.nodeType === Node.TEXT_NODE && node.textContent.trim())
+      );
 
-    // One final extraction at the top
-    extractVisibleMessages(messages, seenContent, true);
+      if (children.length === 0) {
+        lines.push(indent + tag);
+        return;
+      }
+      if (SKELETON_OPAQUE.includes(el.tagName.toLowerCase()) || depth >= maxDepth) {
+        lines.push(`${indent}${tag} [${children.length} children]`);
+        return;
+      }
 
-    // Scroll to absolute top and wait for content to load
-    setScrollTop(0);
-    await sleep(300);
-    extractVisibleMessages(messages, seenContent, true);
+      lines.push(indent + tag);
+      children.forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          lines.push(`${indent}  [text: ${node.textContent.trim().length} chars]`);
+        } else {
+          visit(node, depth + 1);
+        }
+      });
+    };
 
-    // Wait a bit more and extract again - Gemini can be slow loading oldest messages
-    await sleep(200);
-    extractVisibleMessages(messages, seenContent, true);
+    visit(root, 0);
+    if (omitted > 0) {
+      lines.push(`[${omitted} more elements left out]`);
+    }
+    return lines;
+  }
 
-    // One more scroll to 0 in case content shifted
-    setScrollTop(0);
-    await sleep(200);
-    extractVisibleMessages(messages, seenContent, true);
+  /**
+   * Sum up an element for the report
+   * @param {Element|null} el - Element, or null for the window
+   * @returns {Object|null} Tag, classes and size
+   */
+  function describeElement(el) {
+    if (!el) return null;
+    return {
+      tag: el.tagName.toLowerCase(),
+      classes: Array.from(el.classList),
+      scrollHeight: el.scrollHeight,
+      clientHeight: el.clientHeight
+    };
   }
 
   /**
-   * Sleep helper
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise}
+   * Scroll through the open chat as an export would and report how it went
+   * Nothing is archived or downloaded; the report holds no chat text
+   * @returns {Promise<Object>} Result with the diagnostics report, or an error
    */
-  function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async function runDiagnostics() {
+    // A second scroll through the same container would spoil both
+    if (bulkExport.running) {
+      return { success: false, error: 'An export of all chats is in progress.' };
+    }
+    if (ChatScroller.isExtracting()) {
+      return { success: false, error: 'An export is in progress. Try again once it has finished.' };
+    }
+
+    const settings = await ExporterSettings.load();
+    const profile = ChatExtractor.getProfile();
+    const containerTrace = {};
+    const container = findScrollContainer(containerTrace);
+    const scrollTrace = {};
+
+    let chat = null;
+    let error = null;
+    const startedAt = Date.now();
+    try {
+      // Only the scroll is of interest; drafts and reasoning panels are left alone
+      chat = await extractCurrentChat({
+        ...extractionOptions(settings),
+        drafts: false,
+        thinking: false,
+        trace: scrollTrace
+      });
+    } catch (err) {
+      error = err.message;
+    }
+    const durationMs = Date.now() - startedAt;
+
+    // One turn of the chat, as rendered now
+    const firstMessage = document.querySelector(messageSelector());
+    const turn = firstMessage ? (firstMessage.closest(selectors.turn) || firstMessage.parentElement) : null;
+    const conversationId = getConversationId();
+
+    const report = {
+      schema: DIAGNOSTICS_SCHEMA,
+      generatedAt: new Date().toISOString(),
+      extensionVersion: browser.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      page: {
+        host: location.hostname,
+        path: conversationId ? location.pathname.replace(conversationId, '<conversation-id>') : location.pathname,
+        viewport: { width: window.innerWidth, height: window.innerHeight }
+      },
+      profile: {
+        name: profile.name,
+        version: profile.version,
+        overridden: profile.overridden,
+        errors: profile.errors
+      },
+      selectors: SelectorProfiles.check(selectors),
+      scrollContainer: {
+        ...containerTrace,
+        element: describeElement(container),
+        window: container ? null : {
+          scrollHeight: document.documentElement.scrollHeight,
+          clientHeight: window.innerHeight
+        }
+      },
+      extraction: {
+        durationMs,
+        error,
+        messageCount: chat ? chat.messages.length : 0,
+        userMessages: chat ? chat.messages.filter(msg => msg.role === 'user').length : 0,
+        assistantMessages: chat ? chat.messages.filter(msg => msg.role === 'assistant').length : 0,
+        scroll: scrollTrace
+      },
+      skeletons: {
+        turn: turn ? buildSkeleton(turn) : null,
+        scrollContainer: buildSkeleton(container || document.body, 4)
+      }
+    };
+    return { success: true, report };
   }
 
-  // Listen for messages from popup
+  // The popup extracts over a port, so it can follow progress and cancel
+  browser.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'extractChat') return;
+
+    let connected = true;
+    const control = {
+      cancelled: false,
+      onProgress: (progress) => {
+        if (connected) port.postMessage({ type: 'progress', ...progress });
+      }
+    };
+
+    // Closing the popup stops the scroll; nobody is left to receive the chat
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      control.cancelled = true;
+    });
+
+    port.onMessage.addListener((message) => {
+      if (message.action === 'cancel') {
+        control.cancelled = true;
+      } else if (message.action === 'start') {
+        runExtractChat(message, control).then((result) => {
+          if (connected) port.postMessage({ type: 'result', result });
+        });
+      }
+    });
+  });
+
+  // Listen for messages from the popup and background script
   browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'extractChat') {
-      // Handle async extraction with auto-scroll
-      (async () => {
-        try {
-          // Extract messages during scroll to handle virtual scrolling
-          const messages = [];
-          const seenContent = new Set();
-          await autoScrollConversation(messages, seenContent);
-
-          // Deduplicate messages (already in chronological order due to prepend logic)
-          const dedupedMessages = deduplicateMessages(messages);
-          const title = getChatTitle();
-
-          if (dedupedMessages.length === 0) {
-            sendResponse({
-              success: false,
-              error: 'No chat messages found. Make sure you are on a Gemini chat page with an active conversation.'
-            });
-            return;
-          }
+      runExtractChat(message).then(sendResponse);
+      return true; // Keep the message channel open for async response
+    }
 
-          const markdown = formatAsMarkdown(dedupedMessages, title);
+    if (message.action === 'startSelection') {
+      startSelection();
+      sendResponse(getSelectionStatus());
+      return;
+    }
 
-          sendResponse({
-            success: true,
-            markdown: markdown,
-            title: title,
-            messageCount: dedupedMessages.length
-          });
-        } catch (error) {
-          sendResponse({
-            success: false,
-            error: `Failed to extract chat: ${error.message}`
-          });
-        }
-      })();
+    if (message.action === 'stopSelection') {
+      stopSelection();
+      sendResponse(getSelectionStatus());
+      return;
+    }
+
+    if (message.action === 'getSelectionStatus') {
+      sendResponse(getSelectionStatus());
+      return;
+    }
 
+    if (message.action === 'startBulkExport') {
+      if (!bulkExport.running) {
+        runBulkExport();
+      }
+      sendResponse({ started: true });
+      return;
+    }
+
+    if (message.action === 'cancelBulkExport') {
+      bulkExport.cancelled = true;
+      sendResponse({ cancelled: true });
+      return;
+    }
+
+    if (message.action === 'getBulkStatus') {
+      sendResponse({ ...bulkExport });
+      return;
+    }
+
+    if (message.action === 'checkSelectors') {
+      const profile = ChatExtractor.getProfile();
+      sendResponse({
+        url: location.href,
+        profile: {
+          name: profile.name,
+          version: profile.version,
+          overridden: profile.overridden,
+          errors: profile.errors
+        },
+        results: SelectorProfiles.check(selectors)
+      });
+      return;
+    }
+
+    if (message.action === 'runDiagnostics') {
+      runDiagnostics()
+        .then(sendResponse)
+        .catch(error => sendResponse({ success: false, error: `Failed to run diagnostics: ${error.message}` }));
+      return true; // Keep the message channel open for async response
+    }
+
+    if (message.action === 'getContextTarget') {
+      sendResponse(describeContextTarget());
+      return;
+    }
+
+    if (message.action === 'extractContextTarget') {
+      extractContextTarget(message.target)
+        .then(sendResponse)
+        .catch(error => sendResponse({ success: false, error: `Failed to extract: ${error.message}` }));
       return true; // Keep the message channel open for async response
     }
+
+    if (message.action === 'showNotice') {
+      showNotice(message.text, message.isError);
+    }
   });
 })();
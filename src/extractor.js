@@ -0,0 +1,856 @@
+// Reading chat messages from Gemini's page
+// Turns the rendered user-query and model-response elements into
+// structured messages; scrolling through the chat is left to ChatScroller
+
+var ChatExtractor = (function() {
+  'use strict';
+
+  const { htmlToMarkdown, replaceMathNodes, detectCodeLanguage, footnotePlaceholder } = MarkdownConverter;
+  const { escapeUrl } = ChatRenderers;
+
+  // Selectors for Gemini's markup: the built-in profile until the settings
+  // load, then patched by the user's override from the options page. The
+  // object is updated in place, so other scripts can keep a reference to it
+  let profile = SelectorProfiles.resolve(null);
+  const selectors = { ...profile.selectors };
+
+  /**
+   * Switch to the selector profile the settings ask for
+   * @param {Object} settings - Export settings
+   */
+  function applySelectorProfile(settings) {
+    profile = SelectorProfiles.resolve(settings.selectorOverride);
+    Object.keys(selectors).forEach(key => delete selectors[key]);
+    Object.assign(selectors, profile.selectors);
+  }
+
+  /**
+   * Get the selector profile in use
+   * @returns {Object} Resolved profile with name, version, selectors and override state
+   */
+  function getProfile() {
+    return profile;
+  }
+
+  /**
+   * Build a selector matching both user and Gemini messages
+   * @returns {string} CSS selector
+   */
+  function messageSelector() {
+    return `${selectors.userMessage}, ${selectors.assistantMessage}`;
+  }
+
+  /**
+   * Create a simple hash of content
+   * Only used to identify messages that have no DOM identity
+   * @param {string} content - Content to hash
+   * @returns {string} Hash string
+   */
+  function hashContent(content) {
+    if (!content) return '';
+    // Use first 100 chars + length as a simple hash
+    return content.substring(0, 100).trim() + '|' + content.length;
+  }
+
+  /**
+   * Derive a stable identity for a user-query or model-response element
+   * Identity comes from the DOM rather than the text, so a prompt repeated
+   * word for word (e.g. "continue" twice) is still two messages. Tried in order:
+   * IDs on the element itself, Gemini's response content ID, and the
+   * element's position within its conversation turn.
+   * @param {Element} el - user-query or model-response element
+   * @param {string} role - 'user' or 'assistant'
+   * @returns {string|null} Message ID, or null if the DOM offers none
+   */
+  function getMessageId(el, role) {
+    const ownId = el.getAttribute('data-message-id') ||
+      el.getAttribute('data-response-id') ||
+      el.getAttribute('data-turn-id');
+    if (ownId) return `${role}:${ownId}`;
+
+    if (role === 'assistant') {
+      const contentEl = el.querySelector('[id^="message-content-id-"]');
+      if (contentEl) return `assistant:${contentEl.id.replace('message-content-id-', '')}`;
+    }
+
+    const turn = el.closest(selectors.turn);
+    if (turn) {
+      const turnId = turn.getAttribute('data-turn-id') || turn.id;
+      const sameRole = Array.from(turn.querySelectorAll(el.tagName));
+      return `${role}:${turnId}:${sameRole.indexOf(el)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove duplicate messages, keeping the first message with each ID
+   * @param {Array} messages - Array of messages
+   * @returns {Array} Deduplicated messages
+   */
+  function deduplicateMessages(messages) {
+    const seen = new Set();
+    const result = [];
+
+    for (const msg of messages) {
+      if (!seen.has(msg.id)) {
+        seen.add(msg.id);
+        result.push(msg);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge the messages currently in the DOM into the collected list
+   * Virtual scrolling only renders a window of the chat, but that window is
+   * in DOM order. New messages are placed relative to the already-known
+   * messages they sit next to; known messages are refreshed in place (a
+   * response may still have been streaming when first seen).
+   * @param {Array} messages - Collected messages, in chat order
+   * @param {Array} visible - Messages currently in the DOM, in DOM order
+   * @param {boolean} prepend - Where to put a window that shares no messages
+   *   with the collected list (older content when scrolling up)
+   */
+  function mergeVisibleMessages(messages, visible, prepend) {
+    const indexOf = id => messages.findIndex(msg => msg.id === id);
+
+    const firstKnown = visible.findIndex(msg => indexOf(msg.id) !== -1);
+    if (firstKnown === -1) {
+      if (prepend) {
+        messages.unshift(...visible);
+      } else {
+        messages.push(...visible);
+      }
+      return;
+    }
+
+    // Messages above the first known one go directly before it
+    let cursor = indexOf(visible[firstKnown].id);
+    messages.splice(cursor, 0, ...visible.slice(0, firstKnown));
+    cursor += firstKnown - 1;
+
+    // Everything after it goes after the last known message seen so far
+    visible.slice(firstKnown).forEach(msg => {
+      const existing = indexOf(msg.id);
+      if (existing !== -1) {
+        messages[existing] = msg;
+        cursor = existing;
+      } else {
+        messages.splice(cursor + 1, 0, msg);
+        cursor++;
+      }
+    });
+  }
+
+  /**
+   * Remove toolbars, icons, labels and other UI chrome from a cloned message
+   * @param {Element} clone - Cloned message element
+   */
+  function removeInterfaceElements(clone) {
+    // Remove UI elements we don't want, along with the reasoning panel and source chips
+    const unwantedSelectors = [...selectors.unwanted, selectors.thinkingPanel, selectors.sourceList];
+
+    unwantedSelectors.forEach(selector => {
+      clone.querySelectorAll(selector).forEach(u => u.remove());
+    });
+
+    // Remove elements containing "You said" or "Gemini said" labels
+    clone.querySelectorAll('*').forEach(node => {
+      const text = node.textContent.trim();
+      if (text === 'You said' || text === 'Gemini said' ||
+          text === 'You' || text === 'Gemini') {
+        // Only remove if it's a small label element, not the whole message
+        if (text.length < 20 && node.children.length === 0) {
+          node.remove();
+        }
+      }
+    });
+
+    // Angular leaves comment placeholders throughout the markup
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) comments.push(walker.currentNode);
+    comments.forEach(comment => comment.remove());
+  }
+
+  /**
+   * Describe the source an anchor points to
+   * @param {Element} anchor - Link element
+   * @returns {Object|null} Source with title and URL, or null for non-web links
+   */
+  function describeSource(anchor) {
+    if (!/^https?:/.test(anchor.href)) return null;
+
+    const titleEl = anchor.querySelector('[class*="title"]');
+    const title = (
+      anchor.getAttribute('aria-label') ||
+      anchor.getAttribute('title') ||
+      (titleEl && titleEl.textContent) ||
+      anchor.textContent
+    ).trim().replace(/\s+/g, ' ');
+
+    return { title: title || new URL(anchor.href).hostname, url: anchor.href };
+  }
+
+  /**
+   * Collect the sources listed under a grounded response
+   * @param {Element} responseEl - The model-response element
+   * @returns {Array<Object>} Sources with title and URL, in display order
+   */
+  function collectSources(responseEl) {
+    const sources = [];
+    responseEl.querySelectorAll(selectors.sourceList).forEach(list => {
+      list.querySelectorAll('a[href]').forEach(anchor => {
+        const source = describeSource(anchor);
+        if (source && !sources.some(known => known.url === source.url)) {
+          sources.push(source);
+        }
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Replace citation markers with footnote references
+   * A marker either links to its source or holds its 1-based index in the
+   * response's source list. Markers that resolve to neither are stray
+   * numbers and are dropped.
+   * @param {Element} root - Cloned message element
+   * @param {Array<Object>} sourceList - Sources listed under the response
+   * @returns {Array<Object>} Cited sources, in order of first citation
+   */
+  function replaceCitations(root, sourceList) {
+    const cited = [];
+
+    root.querySelectorAll(selectors.sourceMarker).forEach(marker => {
+      // Markers nested in an already replaced marker are gone, and chips in
+      // the source list are not citations
+      if (!root.contains(marker) || marker.closest(selectors.sourceList)) return;
+
+      // A class match on a wrapper around real text is not a marker
+      if (marker.textContent.trim().length > 60) return;
+
+      const indexEl = marker.matches('[data-turn-source-index]')
+        ? marker
+        : marker.querySelector('[data-turn-source-index]');
+      const anchor = marker.matches('a[href]') ? marker : marker.querySelector('a[href]');
+
+      let source = null;
+      if (indexEl) {
+        source = sourceList[Number(indexEl.getAttribute('data-turn-source-index')) - 1] || null;
+      }
+      if (!source && anchor) {
+        source = describeSource(anchor);
+      }
+      if (!source) {
+        marker.remove();
+        return;
+      }
+
+      let position = cited.findIndex(known => known.url === source.url);
+      if (position === -1) {
+        cited.push(source);
+        position = cited.length - 1;
+      }
+
+      const ref = document.createElement('sup');
+      ref.setAttribute('data-footnote', String(position + 1));
+      ref.textContent = `[${footnotePlaceholder(position + 1)}]`;
+      marker.replaceWith(ref);
+    });
+
+    return cited;
+  }
+
+  /**
+   * Number citations across the whole chat
+   * Footnote labels share one namespace per Markdown document, so each
+   * response continues where the previous one stopped. Drafts and reasoning
+   * are rendered next to their response, so each gets a range of its own;
+   * the selected draft is the response itself and shares its labels
+   * @param {Array} messages - Messages in chat order
+   * @param {number} offset - Footnotes already used by earlier messages
+   */
+  function numberCitations(messages, offset = 0) {
+    // Renumber one part from a starting label; returns how many labels it used
+    const numberPart = (part, start) => {
+      const renumber = text => text.replace(/\uE000(\d+)\uE001/g, (_, number) => String(start + Number(number)));
+      part.content = renumber(part.content);
+      part.html = renumber(part.html);
+      if (!part.sources) return 0;
+
+      part.sources = part.sources.map(source => (
+        source.number ? { ...source, number: start + source.number } : source
+      ));
+      return part.sources.filter(source => source.number).length;
+    };
+
+    messages.forEach(msg => {
+      const start = offset;
+      offset += numberPart(msg, start);
+
+      (msg.drafts || []).forEach(draft => {
+        if (draft.selected) {
+          numberPart(draft, start);
+        } else {
+          offset += numberPart(draft, offset);
+        }
+      });
+
+      if (msg.thinking) {
+        offset += numberPart(msg.thinking, offset);
+      }
+    });
+  }
+
+  /**
+   * Count the footnotes used by already numbered messages
+   * @param {Array} messages - Numbered messages
+   * @returns {number} Highest footnote number, or 0
+   */
+  function countCitations(messages) {
+    let count = 0;
+    messages.forEach(msg => {
+      const parts = [msg, ...(msg.drafts || [])];
+      if (msg.thinking) parts.push(msg.thinking);
+      parts.forEach(part => {
+        (part.sources || []).forEach(source => {
+          count = Math.max(count, source.number || 0);
+        });
+      });
+    });
+    return count;
+  }
+
+  /**
+   * Clone a message element and strip it down to its content
+   * @param {Element} el - DOM element
+   * @param {Array<Object>} sourceList - Sources listed under the response, if any
+   * @returns {Object} Cleaned clone and the sources it cites
+   */
+  function prepareMessageClone(el, sourceList = []) {
+    // Clone to avoid modifying the actual DOM
+    const clone = el.cloneNode(true);
+
+    // Recover TeX and citations before the cleanup below strips
+    // KaTeX/MathJax internals and the chips citations live in
+    replaceMathNodes(clone);
+    const cited = replaceCitations(clone, sourceList);
+    removeInterfaceElements(clone);
+
+    return { clone, cited };
+  }
+
+  /**
+   * Extract a message as structured data
+   * @param {Element} el - DOM element holding the message content
+   * @param {string} role - 'user' or 'assistant'
+   * @param {Array<Object>} sourceList - Sources listed under the response, if any
+   * @returns {Object} Message with Markdown content, HTML, code blocks, links, images and sources
+   */
+  function extractMessage(el, role, sourceList = []) {
+    const { clone, cited } = prepareMessageClone(el, sourceList);
+
+    // Keep the original markup (minus UI chrome) for consumers that want HTML
+    const raw = el.cloneNode(true);
+    replaceCitations(raw, sourceList);
+    removeInterfaceElements(raw);
+
+    // Cited sources are numbered; listed but uncited ones follow without a number
+    const sources = [
+      ...cited.map((source, index) => ({ number: index + 1, ...source })),
+      ...sourceList
+        .filter(source => !cited.some(known => known.url === source.url))
+        .map(source => ({ number: null, ...source }))
+    ];
+
+    // Path hints and Gemini's language label live outside the cleaned clone
+    const clonePres = Array.from(clone.querySelectorAll('pre'));
+    let pagePres = Array.from(el.querySelectorAll('pre'));
+    if (pagePres.length !== clonePres.length) {
+      // Some blocks were cleaned away; don't pair blocks up wrongly
+      pagePres = [];
+    }
+    const codeBlocks = clonePres.map((pre, index) => {
+      const codeEl = pre.querySelector('code') || pre;
+      const pagePre = pagePres[index];
+      return {
+        language: detectCodeLanguage(codeEl) || detectCodeLanguage(pre) ||
+          (pagePre ? detectPreLanguage(pagePre) : ''),
+        code: codeEl.textContent.replace(/\n$/, ''),
+        path: pagePre ? findPathHint(pagePre) : null
+      };
+    });
+
+    const links = Array.from(clone.querySelectorAll('a[href]'))
+      .filter(a => /^https?:/.test(a.href))
+      .map(a => ({ text: a.textContent.trim(), url: a.href }));
+
+    const images = Array.from(clone.querySelectorAll('img[src]'))
+      .map(img => ({ src: img.src, alt: img.getAttribute('alt') || '' }));
+
+    return {
+      role,
+      content: htmlToMarkdown(clone),
+      html: raw.innerHTML.trim(),
+      codeBlocks,
+      links,
+      images,
+      sources
+    };
+  }
+
+  /**
+   * Detect the language of a <pre> block
+   * Falls back to the language label Gemini shows above its code blocks
+   * @param {Element} pre - Pre element
+   * @returns {string} Language identifier, or an empty string
+   */
+  function detectPreLanguage(pre) {
+    const codeEl = pre.querySelector('code') || pre;
+    const language = detectCodeLanguage(codeEl) || detectCodeLanguage(pre);
+    if (language) return language;
+
+    const block = pre.closest(selectors.codeBlock);
+    const label = block && block.querySelector(selectors.codeBlockLabel);
+    if (!label) return '';
+
+    // The label also holds the copy button, whose icon name is text too
+    const clone = label.cloneNode(true);
+    clone.querySelectorAll('button, mat-icon, [class*="icon"]').forEach(el => el.remove());
+    const text = clone.textContent.trim();
+    return /^[\w#+.-]{1,20}$/.test(text) ? text : '';
+  }
+
+  // A file path with an extension, e.g. src/app.js or ./config/settings.yaml
+  const PATH_PATTERN = /(?:^|[\s`'"(*])((?:\.{0,2}\/)?(?:[\w@.-]+\/)*[\w@-][\w@.-]*\.[A-Za-z][\w]{0,9})(?=$|[\s`'"):,*])/g;
+
+  // Extensionless file names worth recognizing
+  const BARE_FILE_NAMES = /^(?:Dockerfile|Makefile|Procfile|Gemfile|Rakefile|\.[\w.-]+)$/;
+
+  // Extensions that make a dotted word in prose look like a file name
+  const PATH_EXTENSIONS = new Set([
+    'c', 'cc', 'cfg', 'cjs', 'conf', 'cpp', 'cs', 'css', 'csv', 'dart', 'env', 'go',
+    'gradle', 'graphql', 'h', 'hpp', 'hs', 'html', 'ini', 'java', 'js', 'json', 'jsx',
+    'kt', 'less', 'lock', 'lua', 'm', 'md', 'mdx', 'mjs', 'php', 'pl', 'properties',
+    'proto', 'ps1', 'py', 'r', 'rb', 'rs', 'scala', 'scss', 'sh', 'sql', 'svelte',
+    'swift', 'tex', 'tf', 'toml', 'ts', 'tsx', 'txt', 'vue', 'xml', 'yaml', 'yml'
+  ]);
+
+  /**
+   * Check whether a string looks like a file path
+   * @param {string} text - Candidate path
+   * @returns {boolean} Whether it names a file
+   */
+  function isFilePath(text) {
+    if (BARE_FILE_NAMES.test(text.split('/').pop())) return true;
+    const extension = text.split('.').pop().toLowerCase();
+    return /\.[A-Za-z]/.test(text) && PATH_EXTENSIONS.has(extension) && !/^\w+:\/\//.test(text);
+  }
+
+  /**
+   * Find a file path hint for a code block
+   * Looks at a path comment on the code's first line, then at the text just
+   * before the block: inline code and bold first, then plain prose
+   * @param {Element} pre - Pre element in the page
+   * @returns {string|null} File path, or null if there is no hint
+   */
+  function findPathHint(pre) {
+    const code = (pre.querySelector('code') || pre).textContent;
+    const firstLine = code.split('\n', 1)[0];
+    const comment = firstLine.match(/^\s*(?:\/\/|#(?!!)|--|\/\*|<!--|;)\s*(?:file(?:name)?:\s*)?(\S+?)\s*(?:\*\/|-->)?\s*$/i);
+    if (comment && isFilePath(comment[1])) {
+      return comment[1];
+    }
+
+    // The block before the code, skipping Gemini's wrapper elements
+    let block = pre.closest('code-block') || pre;
+    let previous = null;
+    while (block && !previous) {
+      previous = block.previousElementSibling;
+      block = block.parentElement;
+      if (block && /^(MESSAGE-CONTENT|MODEL-RESPONSE|USER-QUERY)$/.test(block.tagName)) break;
+    }
+    if (!previous || previous.querySelector('pre')) return null;
+
+    const marked = Array.from(previous.querySelectorAll('code, strong, b'))
+      .map(el => el.textContent.trim().replace(/^`|`$/g, ''))
+      .filter(isFilePath);
+    if (marked.length > 0) {
+      return marked[marked.length - 1];
+    }
+
+    const candidates = Array.from(previous.textContent.matchAll(PATH_PATTERN), match => match[1])
+      .filter(isFilePath);
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  }
+
+  /**
+   * Get the chat title/topic
+   * @returns {string} Chat title or default
+   */
+  function getChatTitle() {
+    // Try to find title in sidebar or header
+    for (const selector of selectors.title) {
+      const el = document.querySelector(selector);
+      if (el && el.textContent.trim() && el.textContent.trim().length < 200) {
+        const text = el.textContent.trim();
+        // Skip generic titles that are just "Gemini" or similar
+        if (!text.toLowerCase().includes('gemini')) {
+          return text;
+        }
+      }
+    }
+
+    // Fall back to page title
+    const pageTitle = document.title;
+    if (pageTitle && !pageTitle.toLowerCase().includes('gemini')) {
+      return pageTitle;
+    }
+
+    return 'Gemini Chat Export';
+  }
+
+  /**
+   * Add images and videos Gemini generated to a response message
+   * Generated media is rendered beside the response text rather than in it,
+   * so it is collected from the whole model-response element
+   * @param {Object} message - Message from extractMessage
+   * @param {Element} responseEl - The model-response element
+   * @param {Element} textEl - The element the message text was taken from
+   */
+  function appendGeneratedMedia(message, responseEl, textEl) {
+    const media = Array.from(responseEl.querySelectorAll(selectors.generatedMedia))
+      .filter(el => !textEl.contains(el));
+
+    const lines = [];
+    media.forEach(el => {
+      const src = el.src;
+      if (!src || message.images.some(image => image.src === src)) return;
+
+      if (el.tagName === 'IMG') {
+        const alt = el.getAttribute('alt') || 'Generated image';
+        message.images.push({ src, alt });
+        lines.push(`![${alt.replace(/[[\]]/g, '\\$&')}](${escapeUrl(src)})`);
+      } else {
+        message.links.push({ text: 'Generated video', url: src });
+        lines.push(`[Generated video](${escapeUrl(src)})`);
+      }
+    });
+
+    if (lines.length > 0) {
+      message.content = [message.content, ...lines].filter(Boolean).join('\n\n');
+    }
+  }
+
+  /**
+   * Find the element holding a response's text
+   * @param {Element} responseEl - The model-response element
+   * @returns {Element|null} Response text element
+   */
+  function findModelText(responseEl) {
+    return responseEl.querySelector(selectors.responseText);
+  }
+
+  /**
+   * Open the collapsed reasoning panels of the rendered responses
+   * Gemini only renders the reasoning once its panel is open
+   * @param {Object} extraction - Extraction state; opened toggles are recorded to close later
+   * @returns {Promise} Resolves once the reasoning has had time to render
+   */
+  async function expandThinkingPanels(extraction) {
+    let opened = 0;
+
+    document.querySelectorAll(selectors.assistantMessage).forEach(responseEl => {
+      const panel = responseEl.querySelector(selectors.thinkingPanel);
+      const toggle = panel && panel.querySelector(selectors.thinkingToggle);
+      if (!toggle) return;
+
+      const expanded = toggle.getAttribute('aria-expanded');
+      const collapsed = expanded === 'false' ||
+        (expanded === null && !panel.querySelector(selectors.thinkingContent));
+      if (collapsed) {
+        toggle.click();
+        extraction.openedPanels.push(toggle);
+        opened++;
+      }
+    });
+
+    if (opened > 0) {
+      await sleep(300);
+    }
+  }
+
+  /**
+   * Close the reasoning panels opened during extraction
+   * @param {Object} extraction - Extraction state
+   */
+  function collapseThinkingPanels(extraction) {
+    extraction.openedPanels.forEach(toggle => {
+      if (toggle.isConnected && toggle.getAttribute('aria-expanded') !== 'false') {
+        toggle.click();
+      }
+    });
+    extraction.openedPanels = [];
+  }
+
+  /**
+   * Extract the reasoning shown in a response's thinking panel
+   * @param {Element} responseEl - The model-response element
+   * @returns {Object|null} Reasoning as { content, html }, or null if there is none
+   */
+  function extractThinking(responseEl) {
+    const panel = responseEl.querySelector(selectors.thinkingPanel);
+    const contentEl = panel && panel.querySelector(selectors.thinkingContent);
+    if (!contentEl) return null;
+
+    const thought = extractMessage(contentEl, 'assistant');
+    return thought.content ? { content: thought.content, html: thought.html } : null;
+  }
+
+  /**
+   * Check whether a draft choice is the one currently shown
+   * @param {Element} option - Draft choice element
+   * @returns {boolean} Whether the draft is selected
+   */
+  function isSelectedDraft(option) {
+    return !!option && (
+      option.getAttribute('aria-selected') === 'true' ||
+      option.getAttribute('aria-pressed') === 'true' ||
+      option.classList.contains('selected')
+    );
+  }
+
+  /**
+   * Read every draft of a response by showing each one in turn
+   * Showing a draft makes Gemini continue from it, so the originally
+   * selected draft is shown again before returning
+   * @param {Element} responseEl - The model-response element
+   * @returns {Promise<Array|null>} Drafts as { content, html, sources, selected }, or null for a single draft
+   */
+  async function readDrafts(responseEl) {
+    const toggle = responseEl.querySelector(selectors.draftToggle);
+    const openedPicker = !!toggle && toggle.getAttribute('aria-expanded') !== 'true';
+    if (openedPicker) {
+      toggle.click();
+      await sleep(300);
+    }
+
+    const getOptions = () => Array.from(responseEl.querySelectorAll(selectors.draftOption));
+    const count = getOptions().length;
+    let drafts = null;
+
+    if (count > 1) {
+      const selectedIndex = Math.max(0, getOptions().findIndex(isSelectedDraft));
+      const showDraft = async index => {
+        const option = getOptions()[index];
+        if (!option || isSelectedDraft(option)) return;
+        option.click();
+        await waitFor(() => isSelectedDraft(getOptions()[index]), 3000, 100);
+        // The text swaps in just after the choice is marked selected
+        await sleep(150);
+      };
+
+      drafts = [];
+      for (let index = 0; index < count; index++) {
+        await showDraft(index);
+        const textEl = findModelText(responseEl);
+        if (!textEl) continue;
+
+        const draft = extractMessage(textEl, 'assistant', collectSources(responseEl));
+        drafts.push({
+          content: draft.content,
+          html: draft.html,
+          sources: draft.sources,
+          selected: index === selectedIndex
+        });
+      }
+
+      await showDraft(selectedIndex);
+    }
+
+    if (openedPicker && toggle.isConnected) {
+      toggle.click();
+    }
+
+    return drafts;
+  }
+
+  /**
+   * Read the drafts of rendered responses not visited yet
+   * @param {Object} extraction - Extraction state; drafts are cached per response
+   */
+  async function collectVisibleDrafts(extraction) {
+    for (const responseEl of document.querySelectorAll(selectors.assistantMessage)) {
+      const key = getMessageId(responseEl, 'assistant') || responseEl;
+      if (!extraction.drafts.has(key)) {
+        extraction.drafts.set(key, await readDrafts(responseEl));
+      }
+    }
+  }
+
+  /**
+   * List the rendered user-query and model-response elements with their IDs
+   * @returns {Array<Object>} Entries with element, role and message ID, in DOM order
+   */
+  function listMessageElements() {
+    // Occurrences of each content hash, for messages without a DOM identity
+    const fallbackCounts = new Map();
+
+    // Gemini uses custom Angular elements: <user-query> and <model-response>
+    // These are siblings in the DOM, not nested in a container together
+    return Array.from(document.querySelectorAll(messageSelector())).map(el => {
+      const role = el.matches(selectors.userMessage) ? 'user' : 'assistant';
+
+      let id = getMessageId(el, role);
+      if (!id) {
+        // Without DOM identity, fall back to the text plus its occurrence in this window
+        const hash = `${role}:${hashContent(el.textContent.trim())}`;
+        const occurrence = fallbackCounts.get(hash) || 0;
+        fallbackCounts.set(hash, occurrence + 1);
+        id = `content:${hash}#${occurrence}`;
+      }
+
+      return { el, role, id };
+    });
+  }
+
+  /**
+   * Extract messages from currently visible content
+   * @param {Array} messages - Collected messages to merge into
+   * @param {boolean} prepend - Whether a window with no known messages is older content (scrolling up)
+   * @param {Object} extraction - Extraction state with options and collected drafts
+   */
+  function extractVisibleMessages(messages, prepend, extraction) {
+    const visible = [];
+
+    listMessageElements().forEach(({ el, role, id }) => {
+      let message = null;
+
+      if (role === 'user') {
+        // Extract user message content
+        message = extractMessage(el, 'user');
+      } else {
+        // Extract model response content
+        const modelTextEl = findModelText(el);
+
+        const contentEl = modelTextEl || el;
+        message = extractMessage(contentEl, 'assistant', collectSources(el));
+        if (modelTextEl) {
+          appendGeneratedMedia(message, el, modelTextEl);
+        }
+
+        if (extraction.options.thinking) {
+          const thinking = extractThinking(el);
+          if (thinking) message.thinking = thinking;
+        }
+
+        if (extraction.options.drafts) {
+          const drafts = extraction.drafts.get(getMessageId(el, 'assistant') || el);
+          if (drafts) message.drafts = drafts;
+        }
+      }
+
+      if (message && message.content) {
+        visible.push({ id, ...message });
+      }
+    });
+
+    mergeVisibleMessages(messages, visible, prepend);
+  }
+
+  /**
+   * Open reasoning panels and read drafts as requested, then extract
+   * Reasoning panels the page already shows are read without expandThinking
+   * @param {Array} messages - Collected messages to merge into
+   * @param {boolean} prepend - Whether a window with no known messages is older content
+   * @param {Object} extraction - Extraction state with options and collected drafts
+   * @returns {Promise} Resolves once the visible messages are merged
+   */
+  async function extractVisible(messages, prepend, extraction) {
+    if (extraction.options.thinking && extraction.options.expandThinking) {
+      await expandThinkingPanels(extraction);
+    }
+    if (extraction.options.drafts) {
+      await collectVisibleDrafts(extraction);
+    }
+    extractVisibleMessages(messages, prepend, extraction);
+  }
+
+  /**
+   * Sleep helper
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise}
+   */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Wait until a condition becomes true
+   * @param {Function} condition - Predicate polled until it returns truthy
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @param {number} interval - Polling interval in milliseconds
+   * @returns {Promise<boolean>} Whether the condition was met before the timeout
+   */
+  async function waitFor(condition, timeout = 15000, interval = 200) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      if (condition()) return true;
+      await sleep(interval);
+    }
+    return false;
+  }
+
+  /**
+   * Get the conversation ID from the current URL (gemini.google.com/app/<id>)
+   * @returns {string|null} Conversation ID, or null for a new chat
+   */
+  function getConversationId() {
+    const match = location.pathname.match(/\/app\/([\w-]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the name of the model selected in Gemini's model picker, if shown
+   * @returns {string|null} Model name such as "2.5 Pro", or null
+   */
+  function getModelName() {
+    for (const selector of selectors.model) {
+      const el = document.querySelector(selector);
+      const text = el ? el.textContent.trim().replace(/\s+/g, ' ') : '';
+      if (text && text.length < 40) {
+        return text;
+      }
+    }
+
+    return null;
+  }
+
+  return {
+    selectors,
+    applySelectorProfile,
+    getProfile,
+    messageSelector,
+    deduplicateMessages,
+    mergeVisibleMessages,
+    collectSources,
+    numberCitations,
+    countCitations,
+    extractMessage,
+    detectPreLanguage,
+    getChatTitle,
+    appendGeneratedMedia,
+    findModelText,
+    extractThinking,
+    collapseThinkingPanels,
+    listMessageElements,
+    extractVisible,
+    sleep,
+    waitFor,
+    getConversationId,
+    getModelName
+  };
+})();
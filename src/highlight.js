@@ -0,0 +1,253 @@
+// Lightweight syntax highlighter for code blocks in HTML exports
+// Tokenizes comments, strings, numbers and keywords with per-language rules
+// and returns HTML with <span class="hl-*"> wrappers
+
+var CodeHighlighter = (function() {
+  'use strict';
+
+  const C_COMMENTS = { line: ['//'], block: [['/*', '*/']] };
+  const HASH_COMMENTS = { line: ['#'], block: [] };
+
+  // Language rules; keywords are space separated
+  const LANGUAGES = {
+    javascript: {
+      aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+      comments: C_COMMENTS,
+      strings: ['`', '"', "'"],
+      keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield',
+      literals: 'true false null undefined NaN Infinity'
+    },
+    typescript: {
+      aliases: ['ts', 'tsx'],
+      comments: C_COMMENTS,
+      strings: ['`', '"', "'"],
+      keywords: 'abstract as async await break case catch class const continue declare default delete do else enum export extends finally for from function if implements import in instanceof interface keyof let namespace new of private protected public readonly return static super switch this throw try type typeof var void while yield',
+      literals: 'true false null undefined any number string boolean never unknown void'
+    },
+    python: {
+      aliases: ['py', 'python3'],
+      comments: HASH_COMMENTS,
+      strings: ['"""', "'''", '"', "'"],
+      keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case',
+      literals: 'True False None self'
+    },
+    java: {
+      aliases: [],
+      comments: C_COMMENTS,
+      strings: ['"', "'"],
+      keywords: 'abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public record return short static super switch synchronized this throw throws try var void volatile while',
+      literals: 'true false null'
+    },
+    c: {
+      aliases: ['h', 'cpp', 'c++', 'cc', 'hpp', 'cxx', 'objc'],
+      comments: C_COMMENTS,
+      strings: ['"', "'"],
+      keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long namespace new noexcept operator private protected public register return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while #include #define #ifdef #ifndef #endif #pragma',
+      literals: 'true false NULL nullptr'
+    },
+    csharp: {
+      aliases: ['cs', 'c#'],
+      comments: C_COMMENTS,
+      strings: ['"', "'"],
+      keywords: 'abstract as async await base bool break byte case catch char class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sealed set short static string struct switch this throw try typeof uint ulong using var virtual void volatile while',
+      literals: 'true false null'
+    },
+    go: {
+      aliases: ['golang'],
+      comments: C_COMMENTS,
+      strings: ['`', '"', "'"],
+      keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+      literals: 'true false nil iota'
+    },
+    rust: {
+      aliases: ['rs'],
+      comments: C_COMMENTS,
+      strings: ['"'],
+      keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+      literals: 'true false None Some Ok Err'
+    },
+    kotlin: {
+      aliases: ['kt', 'kts', 'swift'],
+      comments: C_COMMENTS,
+      strings: ['"""', '"', "'"],
+      keywords: 'as break class continue do else enum extension for fun func guard if import in init interface is let object override package private protocol public return self struct super switch this throw try typealias val var when where while',
+      literals: 'true false null nil'
+    },
+    php: {
+      aliases: [],
+      comments: { line: ['//', '#'], block: [['/*', '*/']] },
+      strings: ['"', "'"],
+      keywords: 'abstract array as break case catch class const continue declare default do echo else elseif extends final finally fn for foreach function global if implements include interface namespace new private protected public require return static switch throw trait try use var while yield',
+      literals: 'true false null TRUE FALSE NULL'
+    },
+    ruby: {
+      aliases: ['rb'],
+      comments: HASH_COMMENTS,
+      strings: ['"', "'"],
+      keywords: 'alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor',
+      literals: 'true false nil'
+    },
+    bash: {
+      aliases: ['sh', 'shell', 'zsh', 'console', 'shellscript'],
+      comments: HASH_COMMENTS,
+      strings: ['"', "'"],
+      keywords: 'if then else elif fi case esac for while until do done in function return local export source alias echo exit set unset cd sudo',
+      literals: 'true false'
+    },
+    sql: {
+      aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql'],
+      comments: { line: ['--'], block: [['/*', '*/']] },
+      strings: ["'", '"'],
+      caseInsensitive: true,
+      keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having if in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union unique update values view when where with',
+      literals: 'true false'
+    },
+    css: {
+      aliases: ['scss', 'less'],
+      comments: C_COMMENTS,
+      strings: ['"', "'"],
+      keywords: '@media @import @keyframes @font-face !important',
+      literals: ''
+    },
+    json: {
+      aliases: ['jsonc'],
+      comments: C_COMMENTS,
+      strings: ['"'],
+      keywords: '',
+      literals: 'true false null'
+    },
+    yaml: {
+      aliases: ['yml', 'toml', 'ini'],
+      comments: HASH_COMMENTS,
+      strings: ['"', "'"],
+      keywords: '',
+      literals: 'true false null yes no on off'
+    }
+  };
+
+  // Map every alias to its language rules, with keyword sets built once
+  const RULES = {};
+  Object.entries(LANGUAGES).forEach(([name, language]) => {
+    const rules = {
+      ...language,
+      keywordSet: new Set(language.keywords.split(' ').filter(Boolean)),
+      literalSet: new Set(language.literals.split(' ').filter(Boolean))
+    };
+    [name, ...language.aliases].forEach(alias => {
+      RULES[alias] = rules;
+    });
+  });
+
+  /**
+   * Escape text for inclusion in HTML, as content or a quoted attribute value
+   * The other HTML writers (renderers.js, markdown.js) use this one too
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape a string for use inside a regular expression
+   * @param {string} text - Literal text
+   * @returns {string} Escaped pattern
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Build the tokenizer regex for a language
+   * Alternatives are tried in order: block comments, line comments, strings,
+   * numbers, then words (classified as keywords/literals afterwards)
+   * @param {Object} rules - Language rules
+   * @returns {RegExp} Global tokenizer regex
+   */
+  function buildTokenizer(rules) {
+    const alternatives = [];
+
+    rules.comments.block.forEach(([open, close]) => {
+      alternatives.push(`(?<comment>${escapeRegExp(open)}[\\s\\S]*?(?:${escapeRegExp(close)}|$))`);
+    });
+    rules.comments.line.forEach(marker => {
+      alternatives.push(`(?<comment>${escapeRegExp(marker)}[^\\n]*)`);
+    });
+    rules.strings.forEach(quote => {
+      const q = escapeRegExp(quote);
+      // Triple-quoted and template strings may span lines; others stop at a newline
+      const body = quote.length > 1 || quote === '`'
+        ? `[\\s\\S]*?`
+        : `(?:\\\\.|(?!${q})[^\\\\\\n])*`;
+      alternatives.push(`(?<string>${q}${body}(?:${q}|$))`);
+    });
+    alternatives.push('(?<number>\\b(?:0[xX][\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)');
+    alternatives.push('(?<word>[@#!]?[A-Za-z_$][\\w$?]*)');
+
+    // Named groups may repeat only across alternatives; renumber to keep names unique
+    let counter = 0;
+    const source = alternatives
+      .map(alternative => alternative.replace(/\(\?<(\w+)>/, (_, name) => `(?<${name}${counter++}>`))
+      .join('|');
+
+    return new RegExp(source, 'g');
+  }
+
+  const tokenizerCache = new Map();
+
+  /**
+   * Highlight code as HTML
+   * @param {string} code - Source code
+   * @param {string} language - Language name or alias (case-insensitive)
+   * @returns {string} HTML with highlight spans; plain escaped code for unknown languages
+   */
+  function highlight(code, language) {
+    const rules = RULES[(language || '').toLowerCase()];
+    if (!rules) return escapeHtml(code);
+
+    if (!tokenizerCache.has(rules)) {
+      tokenizerCache.set(rules, buildTokenizer(rules));
+    }
+    const tokenizer = tokenizerCache.get(rules);
+    tokenizer.lastIndex = 0;
+
+    let html = '';
+    let position = 0;
+    let match;
+
+    while ((match = tokenizer.exec(code)) !== null) {
+      if (match[0] === '') {
+        tokenizer.lastIndex++;
+        continue;
+      }
+
+      html += escapeHtml(code.slice(position, match.index));
+      position = match.index + match[0].length;
+
+      const group = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+      const type = group.replace(/\d+$/, '');
+      const text = match[0];
+      let className = null;
+
+      if (type === 'word') {
+        const word = rules.caseInsensitive ? text.toLowerCase() : text;
+        if (rules.keywordSet.has(word)) className = 'hl-keyword';
+        else if (rules.literalSet.has(word)) className = 'hl-literal';
+      } else {
+        className = `hl-${type}`;
+      }
+
+      html += className
+        ? `<span class="${className}">${escapeHtml(text)}</span>`
+        : escapeHtml(text);
+    }
+
+    return html + escapeHtml(code.slice(position));
+  }
+
+  return { highlight, escapeHtml };
+})();
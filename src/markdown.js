@@ -0,0 +1,559 @@
+// Markdown conversion of Gemini's rendered message HTML
+// Shared by the content script's extraction; works on any element, so it
+// can run against saved pages in the tests
+
+var MarkdownConverter = (function() {
+  'use strict';
+
+  const { escapeHtml } = CodeHighlighter;
+  const { escapeUrl } = ChatRenderers;
+
+  /**
+   * Wrap a citation number so it can be renumbered once message order is final
+   * Private-use characters cannot collide with text Gemini writes
+   * @param {number} number - Citation number within its message
+   * @returns {string} Placeholder
+   */
+  function footnotePlaceholder(number) {
+    return `\uE000${number}\uE001`;
+  }
+
+  /**
+   * Detect programming language from code block
+   * @param {Element} codeBlock - Code block element
+   * @returns {string} Language identifier
+   */
+  function detectCodeLanguage(codeBlock) {
+    if (!codeBlock) return '';
+    const classNames = codeBlock.className || '';
+
+    // Common language class patterns
+    const langMatch = classNames.match(/language-(\w+)|lang-(\w+)|(\w+)-code/);
+    if (langMatch) {
+      return langMatch[1] || langMatch[2] || langMatch[3];
+    }
+
+    // Check data attributes
+    const dataLang = codeBlock.getAttribute('data-language') ||
+                     codeBlock.getAttribute('data-lang');
+    if (dataLang) return dataLang;
+
+    return '';
+  }
+
+  /**
+   * Recover the TeX source of a rendered math element
+   * Checks Gemini's data-math attribute, the TeX annotation KaTeX and MathJax
+   * embed in their MathML, MathJax 2 script tags, and MathML alttext
+   * @param {Element} el - Rendered math element
+   * @returns {string|null} TeX source, or null if none can be found
+   */
+  function findTexSource(el) {
+    const candidates = [el, ...el.querySelectorAll('[data-math]')];
+    for (const candidate of candidates) {
+      const dataMath = candidate.getAttribute('data-math');
+      if (dataMath) return dataMath;
+    }
+
+    const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+    if (annotation) return annotation.textContent;
+
+    const script = el.querySelector('script[type^="math/tex"]') ||
+      (el.nextElementSibling && el.nextElementSibling.matches('script[type^="math/tex"]')
+        ? el.nextElementSibling
+        : null);
+    if (script) return script.textContent;
+
+    const math = el.tagName === 'MATH' ? el : el.querySelector('math');
+    if (math && math.getAttribute('alttext')) return math.getAttribute('alttext');
+
+    return null;
+  }
+
+  /**
+   * Check whether a rendered math element is display (block) math
+   * @param {Element} el - Rendered math element
+   * @returns {boolean} True for display math
+   */
+  function isDisplayMath(el) {
+    if (el.closest('.katex-display, .math-block, mjx-container[display="true"]')) return true;
+    if (el.getAttribute('display') === 'block' || el.getAttribute('display') === 'true') return true;
+    const script = el.querySelector('script[type^="math/tex"]');
+    return Boolean(script && script.type.includes('mode=display'));
+  }
+
+  /**
+   * Replace rendered math in a cloned message with TeX markers
+   * Rendered KaTeX/MathJax contains both MathML and positioned HTML glyphs,
+   * which serialize as duplicated symbol soup. Each outermost math node is
+   * swapped for a <span data-tex> that the serializer emits as $...$ or $$...$$
+   * @param {Element} root - Cloned message element
+   */
+  function replaceMathNodes(root) {
+    const mathSelectors = [
+      '[data-math]',
+      '.math-block',
+      '.math-inline',
+      '.katex-display',
+      '.katex',
+      'mjx-container',
+      '.MathJax',
+      '.MathJax_Display',
+      'math'
+    ];
+
+    root.querySelectorAll(mathSelectors.join(', ')).forEach(el => {
+      // Skip nodes already replaced as part of an enclosing math element
+      if (!root.contains(el)) return;
+
+      const tex = findTexSource(el);
+      if (tex === null) return;
+
+      // Use the outermost wrapper so KaTeX's sibling glyph spans go too
+      const outer = el.closest('.katex-display, .math-block') || el;
+      const marker = document.createElement('span');
+      marker.setAttribute('data-tex', tex.trim());
+      if (isDisplayMath(el)) marker.setAttribute('data-display', 'true');
+
+      // MathJax 2 keeps the TeX in a sibling script; drop it with the render
+      const next = outer.nextElementSibling;
+      if (next && next.matches('script[type^="math/tex"]')) next.remove();
+
+      outer.replaceWith(marker);
+    });
+  }
+
+  /**
+   * Serialize a TeX marker produced by replaceMathNodes
+   * @param {Element} marker - Marker element
+   * @returns {string} Inline ($...$) or display ($$...$$) math
+   */
+  function serializeMath(marker) {
+    const tex = marker.getAttribute('data-tex');
+    if (marker.hasAttribute('data-display')) {
+      return `$$\n${tex}\n$$`;
+    }
+    return `$${tex}$`;
+  }
+
+  // Elements serialized as standalone blocks rather than inline runs
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL',
+    'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2',
+    'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P',
+    'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+  ]);
+
+  // Elements whose content never belongs in the export
+  const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'svg']);
+
+  /**
+   * Check whether an element should be serialized as a block
+   * Unknown custom elements (Gemini's Angular components) count as blocks
+   * when they wrap block content, so their children are not run together
+   * @param {Element} el - DOM element
+   * @returns {boolean} True if the element is block-level
+   */
+  function isBlockElement(el) {
+    if (BLOCK_TAGS.has(el.tagName)) return true;
+    if (el.hasAttribute('data-tex')) return el.hasAttribute('data-display');
+    if (!el.tagName.includes('-')) return false;
+    return Array.from(el.children).some(isBlockElement);
+  }
+
+  /**
+   * Escape characters that Markdown would otherwise treat as syntax
+   * Brackets are escaped so text never closes a link label or forms one, and
+   * "<" so a literal tag is not read as raw HTML; markers that only count at
+   * the start of a line are left to finishParagraph
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  function escapeMarkdown(text) {
+    return text.replace(/[\\`*_~$<[\]]/g, '\\$&');
+  }
+
+  /**
+   * Wrap inline content in a delimiter, keeping surrounding whitespace outside
+   * so that "** bold **" never appears (CommonMark would not parse it)
+   * @param {string} content - Inline Markdown
+   * @param {string} delimiter - Delimiter such as "**" or "~~"
+   * @returns {string} Wrapped content
+   */
+  function wrapInline(content, delimiter) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return content;
+    return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+  }
+
+  /**
+   * Build a fence or inline code delimiter longer than any backtick run in the code
+   * @param {string} code - Code text
+   * @param {number} minLength - Minimum delimiter length
+   * @returns {string} Backtick delimiter
+   */
+  function backtickFence(code, minLength) {
+    const runs = code.match(/`+/g) || [];
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(minLength, longest + 1));
+  }
+
+  /**
+   * Serialize a node and its descendants as inline Markdown
+   * @param {Node} node - DOM node
+   * @returns {string} Inline Markdown
+   */
+  function serializeInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) {
+      return '';
+    }
+
+    if (node.hasAttribute('data-tex')) {
+      return serializeMath(node);
+    }
+
+    if (node.hasAttribute('data-footnote')) {
+      return `[^${footnotePlaceholder(node.getAttribute('data-footnote'))}]`;
+    }
+
+    const children = () => Array.from(node.childNodes).map(serializeInline).join('');
+
+    switch (node.tagName) {
+      case 'STRONG':
+      case 'B':
+        return wrapInline(children(), '**');
+      case 'EM':
+      case 'I':
+        return wrapInline(children(), '*');
+      case 'DEL':
+      case 'S':
+      case 'STRIKE':
+        return wrapInline(children(), '~~');
+      case 'CODE': {
+        const code = node.textContent;
+        if (!code) return '';
+        const fence = backtickFence(code, 1);
+        const pad = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${fence}${pad}${code}${pad}${fence}`;
+      }
+      case 'A': {
+        const text = children().trim();
+        const href = node.getAttribute('href');
+        if (!href || href.startsWith('javascript:')) return text;
+        return `[${text || escapeUrl(href)}](${escapeUrl(href)})`;
+      }
+      case 'BR':
+        return '\n';
+      case 'IMG': {
+        const src = node.getAttribute('src');
+        if (!src) return '';
+        const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '\\$&');
+        return `![${alt}](${escapeUrl(node.src || src)})`;
+      }
+      case 'PRE':
+        return serializeCodeBlock(node);
+      default:
+        return children();
+    }
+  }
+
+  /**
+   * Serialize a <pre> element as a fenced code block
+   * @param {Element} pre - Pre element
+   * @returns {string} Fenced code block
+   */
+  function serializeCodeBlock(pre) {
+    const codeEl = pre.querySelector('code') || pre;
+    const language = detectCodeLanguage(codeEl) || detectCodeLanguage(pre);
+    const code = codeEl.textContent.replace(/\n$/, '');
+    const fence = backtickFence(code, 3);
+    return `${fence}${language}\n${code}\n${fence}`;
+  }
+
+  /**
+   * Clean up a run of inline Markdown so it forms a single paragraph
+   * Line-start text that reads as a heading, blockquote or list marker is
+   * escaped so it stays plain text
+   * @param {string} text - Inline Markdown
+   * @returns {string} Paragraph text
+   */
+  function finishParagraph(text) {
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/^[#>+-]/gm, '\\$&')
+      .replace(/^(\d+)([.)])/gm, '$1\\$2')
+      .trim();
+  }
+
+  /**
+   * Indent every line after the first, for list item continuation
+   * @param {string} text - Block text
+   * @param {number} width - Number of spaces
+   * @returns {string} Indented text
+   */
+  function indentContinuation(text, width) {
+    const padding = ' '.repeat(width);
+    return text.replace(/\n(?!\n)/g, `\n${padding}`);
+  }
+
+  // Start of a block written by serializeList; paragraphs never match, as
+  // finishParagraph escapes line-start list markers
+  const LIST_ITEM_START = /^(?:- |\d+\. )/;
+
+  /**
+   * Serialize a <ul> or <ol> element, including nested lists
+   * @param {Element} list - List element
+   * @returns {string} Markdown list
+   */
+  function serializeList(list) {
+    const ordered = list.tagName === 'OL';
+    let number = parseInt(list.getAttribute('start'), 10);
+    if (isNaN(number)) number = 1;
+
+    const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+
+    return items.map(item => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      // Blocks of one item need a blank line between them or CommonMark
+      // reads them as one paragraph; a nested list can follow directly
+      const content = serializeBlocks(item).reduce((text, block) => (
+        text ? `${text}${LIST_ITEM_START.test(block) ? '\n' : '\n\n'}${block}` : block
+      ), '');
+      return marker + indentContinuation(content, marker.length);
+    }).join('\n');
+  }
+
+  /**
+   * Serialize an element's children as a sequence of Markdown blocks
+   * Inline runs between block elements become paragraphs
+   * @param {Element} el - DOM element
+   * @returns {Array<string>} Markdown blocks
+   */
+  function serializeBlocks(el) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+      const paragraph = finishParagraph(inline);
+      if (paragraph) blocks.push(paragraph);
+      inline = '';
+    };
+
+    el.childNodes.forEach(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE || !isBlockElement(node)) {
+        inline += serializeInline(node);
+        return;
+      }
+
+      flush();
+      const block = serializeBlock(node);
+      if (Array.isArray(block)) {
+        blocks.push(...block);
+      } else if (block) {
+        blocks.push(block);
+      }
+    });
+
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Serialize a single block-level element
+   * @param {Element} el - Block element
+   * @returns {string|Array<string>} Markdown block, or several blocks for containers
+   */
+  function serializeBlock(el) {
+    if (el.hasAttribute('data-tex')) {
+      return serializeMath(el);
+    }
+
+    switch (el.tagName) {
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6': {
+        const level = parseInt(el.tagName.charAt(1), 10);
+        const text = finishParagraph(serializeInline(el)).replace(/\n/g, ' ');
+        return text ? `${'#'.repeat(level)} ${text}` : '';
+      }
+      case 'P':
+        return finishParagraph(serializeInline(el));
+      case 'PRE':
+        return serializeCodeBlock(el);
+      case 'UL':
+      case 'OL':
+        return serializeList(el);
+      case 'BLOCKQUOTE': {
+        const content = serializeBlocks(el).join('\n\n');
+        return content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      }
+      case 'HR':
+        return '---';
+      case 'TABLE':
+        return serializeTable(el);
+      default:
+        return SKIPPED_TAGS.has(el.tagName) ? '' : serializeBlocks(el);
+    }
+  }
+
+  // Attributes kept when a table (or cell) falls back to inline HTML
+  const HTML_FALLBACK_ATTRIBUTES = ['href', 'src', 'alt', 'colspan', 'rowspan', 'align'];
+
+  /**
+   * Serialize a node as minimal single-line HTML
+   * Presentation attributes and Gemini's wrapper elements are dropped, and
+   * newlines (e.g. inside <pre>) become <br> so the result fits in one table row
+   * @param {Node} node - DOM node
+   * @returns {string} HTML string
+   */
+  function serializeCleanHtml(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const inPre = node.parentElement && node.parentElement.closest('pre');
+      const text = inPre ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+      return escapeHtml(text).replace(/\n/g, '<br>');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) {
+      return '';
+    }
+
+    if (node.hasAttribute('data-tex')) {
+      return escapeHtml(`$${node.getAttribute('data-tex')}$`);
+    }
+
+    const children = Array.from(node.childNodes).map(serializeCleanHtml).join('');
+
+    // Keep standard HTML elements, unwrap custom elements
+    if (node.tagName.includes('-') || node.tagName === 'SPAN' || node.tagName === 'DIV') {
+      return children;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const attrs = HTML_FALLBACK_ATTRIBUTES
+      .filter(name => node.hasAttribute(name))
+      .map(name => ` ${name}="${escapeHtml(node.getAttribute(name))}"`)
+      .join('');
+
+    if (tag === 'br' || tag === 'hr' || tag === 'img') {
+      return `<${tag}${attrs}>`;
+    }
+    return `<${tag}${attrs}>${children.trim()}</${tag}>`;
+  }
+
+  /**
+   * Check whether a table cell holds content a pipe table cannot express
+   * @param {Element} cell - Table cell
+   * @returns {boolean} True if the cell needs inline HTML
+   */
+  function isComplexCell(cell) {
+    if (cell.querySelector('ul, ol, pre, blockquote, table, h1, h2, h3, h4, h5, h6, hr')) {
+      return true;
+    }
+    return cell.querySelectorAll('p').length > 1;
+  }
+
+  /**
+   * Serialize a table cell for use inside a GFM pipe table row
+   * @param {Element} cell - Table cell
+   * @returns {string} Cell content on a single line
+   */
+  function serializeTableCell(cell) {
+    if (isComplexCell(cell)) {
+      return Array.from(cell.childNodes).map(serializeCleanHtml).join('').trim().replace(/\|/g, '&#124;');
+    }
+
+    return finishParagraph(serializeInline(cell))
+      .replace(/\|/g, '\\|')
+      .replace(/\n/g, '<br>');
+  }
+
+  /**
+   * Read a cell's column alignment from its align attribute or inline style
+   * @param {Element} cell - Table cell
+   * @returns {string} Alignment row segment for a GFM table
+   */
+  function cellAlignment(cell) {
+    const align = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+    if (align === 'center') return ':---:';
+    if (align === 'right' || align === 'end') return '---:';
+    if (align === 'left' || align === 'start') return ':---';
+    return '---';
+  }
+
+  /**
+   * Serialize a <table> as a GFM pipe table
+   * Tables with merged cells cannot be expressed as pipe tables, so they are
+   * kept as inline HTML instead
+   * @param {Element} table - Table element
+   * @returns {string} Markdown table
+   */
+  function serializeTable(table) {
+    const rows = Array.from(table.rows);
+    if (rows.length === 0) return '';
+
+    const hasMergedCells = rows.some(row =>
+      Array.from(row.cells).some(cell => cell.colSpan > 1 || cell.rowSpan > 1)
+    );
+    if (hasMergedCells) {
+      return `<table>${rows.map(row => serializeCleanHtml(row)).join('')}</table>`;
+    }
+
+    // GFM requires a header row; use the first row when the table has none
+    const headerRow = rows[0];
+    const bodyRows = rows.slice(1);
+    const columnCount = Math.max(...rows.map(row => row.cells.length));
+
+    const formatRow = (row) => {
+      const cells = Array.from(row.cells).map(serializeTableCell);
+      while (cells.length < columnCount) cells.push('');
+      return `| ${cells.join(' | ')} |`;
+    };
+
+    // Alignment comes from the header cell, or the first body cell if the header has none
+    const alignments = [];
+    for (let i = 0; i < columnCount; i++) {
+      const candidates = [headerRow.cells[i], bodyRows[0] && bodyRows[0].cells[i]];
+      const aligned = candidates
+        .filter(Boolean)
+        .map(cellAlignment)
+        .find(alignment => alignment !== '---');
+      alignments.push(aligned || '---');
+    }
+
+    return [
+      formatRow(headerRow),
+      `| ${alignments.join(' | ')} |`,
+      ...bodyRows.map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * Convert HTML content to Markdown by walking the DOM tree
+   * @param {Element} el - DOM element
+   * @returns {string} Markdown text
+   */
+  function htmlToMarkdown(el) {
+    let markdown = serializeBlocks(el).join('\n\n');
+
+    // Clean up extra whitespace
+    markdown = markdown.replace(/\n{3,}/g, '\n\n');
+    markdown = markdown.replace(/[ \t]+$/gm, ''); // Remove trailing spaces
+
+    // Remove "You said" / "Gemini said" labels that may have been captured
+    markdown = markdown.replace(/^You said\s*/i, '');
+    markdown = markdown.replace(/^Gemini said\s*/i, '');
+    markdown = markdown.replace(/\nYou said\s*/gi, '\n');
+    markdown = markdown.replace(/\nGemini said\s*/gi, '\n');
+
+    return markdown.trim();
+  }
+
+  return { htmlToMarkdown, replaceMathNodes, detectCodeLanguage, footnotePlaceholder };
+})();
@@ -0,0 +1,447 @@
+// Options page script for Gemini Chat Exporter
+
+(function() {
+  'use strict';
+
+  const presetSelect = document.getElementById('preset-select');
+  const templateFields = Array.from(document.querySelectorAll('textarea[data-part]'));
+  const previewEl = document.getElementById('preview');
+  const saveStatusEl = document.getElementById('save-status');
+  const frontMatterCheckbox = document.getElementById('front-matter-checkbox');
+  const frontMatterTagsInput = document.getElementById('front-matter-tags');
+  const thinkingSelect = document.getElementById('thinking-select');
+  const draftsCheckbox = document.getElementById('drafts-checkbox');
+  const codeSupersedeCheckbox = document.getElementById('code-supersede-checkbox');
+  const scrollOverlayCheckbox = document.getElementById('scroll-overlay-checkbox');
+  const archiveCheckbox = document.getElementById('archive-checkbox');
+  const updateOutputSelect = document.getElementById('update-output-select');
+  const autoSaveSitesEl = document.getElementById('auto-save-sites');
+  const autoSaveArchiveCheckbox = document.getElementById('auto-save-archive-checkbox');
+  const autoSaveDownloadsCheckbox = document.getElementById('auto-save-downloads-checkbox');
+  const autoSaveFolderInput = document.getElementById('auto-save-folder');
+  const selectorProfileEl = document.getElementById('selector-profile');
+  const checkSelectorsBtn = document.getElementById('check-selectors-btn');
+  const selectorCheckStatusEl = document.getElementById('selector-check-status');
+  const selectorResultsEl = document.getElementById('selector-results');
+  const selectorOverrideInput = document.getElementById('selector-override');
+  const selectorErrorsEl = document.getElementById('selector-errors');
+  const saveOverrideBtn = document.getElementById('save-override-btn');
+  const builtinProfileEl = document.getElementById('builtin-profile');
+
+  // Chat shown in the live preview
+  const SAMPLE_CHAT = {
+    title: 'Sorting a list in Python',
+    conversationId: 'a1b2c3d4e5f6',
+    url: 'https://gemini.google.com/app/a1b2c3d4e5f6',
+    model: '2.5 Pro',
+    exportedAt: new Date().toISOString(),
+    messages: [
+      {
+        role: 'user',
+        content: 'How do I sort a list of dictionaries by a key in Python?'
+      },
+      {
+        role: 'assistant',
+        thinking: {
+          content: 'The user wants to sort dictionaries by one of their values. ' +
+            '`sorted()` with a `key` function is the idiomatic answer.'
+        },
+        content: 'Use `sorted()` with a `key` function:\n\n' +
+          '```python\npeople = [{"name": "Ada", "age": 36}, {"name": "Alan", "age": 41}]\n' +
+          'by_age = sorted(people, key=lambda p: p["age"])\n```\n\n' +
+          '- `reverse=True` sorts in descending order\n' +
+          '- `list.sort()` sorts in place instead of returning a new list'
+      },
+      {
+        role: 'user',
+        content: 'Thanks! Is it stable?'
+      },
+      {
+        role: 'assistant',
+        content: 'Yes. Python\'s sort is **stable**, so items with equal keys keep their original order.',
+        drafts: [
+          {
+            content: 'Yes. Python\'s sort is **stable**, so items with equal keys keep their original order.',
+            selected: true
+          },
+          {
+            content: 'Yes, both `sorted()` and `list.sort()` are guaranteed to be stable.',
+            selected: false
+          }
+        ]
+      }
+    ]
+  };
+
+  let settings = null;
+  let saveTimer = null;
+
+  /**
+   * Briefly show that settings were saved
+   */
+  function showSaved() {
+    saveStatusEl.textContent = 'Saved';
+    setTimeout(() => {
+      saveStatusEl.textContent = '';
+    }, 1500);
+  }
+
+  /**
+   * Read the template currently in the form
+   * @returns {Object} Template parts keyed by part name
+   */
+  function readTemplateFields() {
+    const template = {};
+    templateFields.forEach(field => {
+      template[field.dataset.part] = field.value;
+    });
+    return template;
+  }
+
+  /**
+   * Fill the form with a template
+   * @param {Object} template - Template parts keyed by part name
+   */
+  function fillTemplateFields(template) {
+    templateFields.forEach(field => {
+      field.value = template[field.dataset.part] || '';
+    });
+  }
+
+  /**
+   * Render the sample chat with the current settings
+   */
+  function updatePreview() {
+    previewEl.textContent = ChatRenderers.formatAsMarkdown(SAMPLE_CHAT, settings);
+  }
+
+  /**
+   * Handle a change of preset
+   */
+  async function handlePresetChange() {
+    const preset = presetSelect.value;
+    const changes = { markdownPreset: preset };
+
+    if (preset === 'custom') {
+      changes.markdownTemplate = readTemplateFields();
+    } else {
+      fillTemplateFields(ChatRenderers.MARKDOWN_PRESETS[preset]);
+    }
+
+    settings = await ExporterSettings.save(changes);
+    updatePreview();
+    showSaved();
+  }
+
+  /**
+   * Handle an edit to one of the template parts
+   * Editing turns the current template into a custom one
+   */
+  function handleTemplateInput() {
+    presetSelect.value = 'custom';
+    settings = { ...settings, markdownPreset: 'custom', markdownTemplate: readTemplateFields() };
+    updatePreview();
+
+    // Save once typing pauses
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(async () => {
+      settings = await ExporterSettings.save({
+        markdownPreset: 'custom',
+        markdownTemplate: settings.markdownTemplate
+      });
+      showSaved();
+    }, 400);
+  }
+
+  /**
+   * Parse the comma-separated tags field
+   * @returns {Array<string>} Tags without surrounding whitespace or '#'
+   */
+  function readTags() {
+    return frontMatterTagsInput.value
+      .split(',')
+      .map(tag => tag.trim().replace(/^#/, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Handle a change to the front matter options
+   */
+  async function handleFrontMatterChange() {
+    frontMatterTagsInput.disabled = !frontMatterCheckbox.checked;
+    settings = await ExporterSettings.save({
+      frontMatter: frontMatterCheckbox.checked,
+      frontMatterTags: readTags()
+    });
+    updatePreview();
+    showSaved();
+  }
+
+  /**
+   * Handle a change to the thinking or drafts options
+   */
+  async function handleResponsePartsChange() {
+    settings = await ExporterSettings.save({
+      thinking: thinkingSelect.value,
+      includeDrafts: draftsCheckbox.checked
+    });
+    updatePreview();
+    showSaved();
+  }
+
+  /**
+   * Handle a change to the scrolling option
+   */
+  async function handleScrollOverlayChange() {
+    settings = await ExporterSettings.save({ scrollOverlay: scrollOverlayCheckbox.checked });
+    showSaved();
+  }
+
+  /**
+   * Handle a change to the code export option
+   */
+  async function handleCodeSupersedeChange() {
+    settings = await ExporterSettings.save({ codeSupersede: codeSupersedeCheckbox.checked });
+    showSaved();
+  }
+
+  /**
+   * Handle a change to the archive options
+   */
+  async function handleArchiveChange() {
+    settings = await ExporterSettings.save({
+      archiveExports: archiveCheckbox.checked,
+      updateOutput: updateOutputSelect.value
+    });
+    showSaved();
+  }
+
+  /**
+   * List the sites the content script runs on, from the manifest
+   * @returns {Array<string>} Hostnames
+   */
+  function listSites() {
+    const matches = browser.runtime.getManifest().content_scripts
+      .flatMap(script => script.matches);
+    const hosts = matches.map(pattern => pattern.replace(/^[^:]+:\/\//, '').split('/')[0]);
+    return Array.from(new Set(hosts));
+  }
+
+  /**
+   * Handle a change to the auto-save options
+   */
+  async function handleAutoSaveChange() {
+    const sites = Array.from(autoSaveSitesEl.querySelectorAll('input:checked'))
+      .map(checkbox => checkbox.value);
+
+    autoSaveFolderInput.disabled = !autoSaveDownloadsCheckbox.checked;
+    settings = await ExporterSettings.save({
+      autoSaveSites: sites,
+      autoSaveArchive: autoSaveArchiveCheckbox.checked,
+      autoSaveDownloads: autoSaveDownloadsCheckbox.checked,
+      autoSaveFolder: autoSaveFolderInput.value.trim()
+    });
+    showSaved();
+  }
+
+  /**
+   * Add an opt-in checkbox for each site
+   */
+  function fillAutoSaveSites() {
+    listSites().forEach(site => {
+      const label = document.createElement('label');
+      label.className = 'field';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = site;
+      checkbox.checked = settings.autoSaveSites.includes(site);
+      checkbox.addEventListener('change', handleAutoSaveChange);
+
+      const text = document.createElement('span');
+      text.textContent = `Auto-save chats on ${site}`;
+
+      label.append(checkbox, text);
+      autoSaveSitesEl.appendChild(label);
+    });
+  }
+
+  /**
+   * Describe the selector profile in use
+   */
+  function showSelectorProfile() {
+    const profile = SelectorProfiles.resolve(settings.selectorOverride);
+    selectorProfileEl.textContent = profile.overridden
+      ? `Using "${profile.name}", an override of the built-in profile ${profile.version}.`
+      : `Using the built-in profile ${profile.name} ${profile.version}.`;
+  }
+
+  /**
+   * Validate and save the override profile; an empty box removes it
+   */
+  async function handleSaveOverride() {
+    const text = selectorOverrideInput.value.trim();
+    let override = null;
+
+    if (text) {
+      try {
+        override = JSON.parse(text);
+      } catch (error) {
+        selectorErrorsEl.textContent = `Not valid JSON: ${error.message}`;
+        return;
+      }
+
+      const errors = SelectorProfiles.validate(override);
+      if (errors.length > 0) {
+        selectorErrorsEl.textContent = errors.join('\n');
+        return;
+      }
+    }
+
+    selectorErrorsEl.textContent = '';
+    settings = await ExporterSettings.save({ selectorOverride: override });
+    showSelectorProfile();
+    showSaved();
+  }
+
+  /**
+   * Ask an open Gemini tab which selectors match its page
+   * Only Gemini tabs run the content script, so the first tab to answer is one
+   * @returns {Promise<Object|null>} Check results, or null if no Gemini tab answered
+   */
+  async function requestSelectorCheck() {
+    const tabs = await browser.tabs.query({});
+    for (const tab of tabs) {
+      try {
+        const report = await browser.tabs.sendMessage(tab.id, { action: 'checkSelectors' });
+        if (report) return report;
+      } catch (error) {
+        // Not a Gemini tab
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Show which selectors matched on a Gemini tab
+   */
+  async function handleCheckSelectors() {
+    checkSelectorsBtn.disabled = true;
+    selectorCheckStatusEl.textContent = 'Checking...';
+    selectorResultsEl.classList.add('hidden');
+
+    try {
+      const report = await requestSelectorCheck();
+      if (!report) {
+        selectorCheckStatusEl.textContent = 'Open a chat on gemini.google.com (reload it if it was open before the extension was installed) and try again.';
+        return;
+      }
+
+      const matched = report.results.filter(result => result.count > 0).length;
+      selectorCheckStatusEl.textContent =
+        `${matched} of ${report.results.length} selectors match on ${report.url} ` +
+        `(profile ${report.profile.name} ${report.profile.version}). Some only match when the chat ` +
+        'has reasoning, drafts or sources, or while Gemini is answering.';
+
+      const header = document.createElement('tr');
+      ['Selector', 'CSS', 'Matches'].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        header.appendChild(th);
+      });
+
+      const rows = report.results.map(result => {
+        const row = document.createElement('tr');
+        if (result.count === 0) row.className = 'missing';
+
+        const key = document.createElement('td');
+        key.textContent = result.key;
+        const selector = document.createElement('td');
+        const code = document.createElement('code');
+        code.textContent = result.selector;
+        selector.appendChild(code);
+        const count = document.createElement('td');
+        count.textContent = result.count;
+
+        row.append(key, selector, count);
+        return row;
+      });
+
+      selectorResultsEl.replaceChildren(header, ...rows);
+      selectorResultsEl.classList.remove('hidden');
+    } catch (error) {
+      selectorCheckStatusEl.textContent = `Check failed: ${error.message}`;
+    } finally {
+      checkSelectorsBtn.disabled = false;
+    }
+  }
+
+  // Initialize
+  async function init() {
+    Object.entries(ChatRenderers.MARKDOWN_PRESETS).forEach(([value, preset]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = preset.label;
+      presetSelect.appendChild(option);
+    });
+
+    const custom = document.createElement('option');
+    custom.value = 'custom';
+    custom.textContent = 'Custom';
+    presetSelect.appendChild(custom);
+
+    settings = await ExporterSettings.load();
+
+    if (settings.markdownPreset === 'custom' && settings.markdownTemplate) {
+      presetSelect.value = 'custom';
+      fillTemplateFields({ ...ChatRenderers.MARKDOWN_PRESETS.default, ...settings.markdownTemplate });
+    } else {
+      const preset = ChatRenderers.MARKDOWN_PRESETS[settings.markdownPreset] ? settings.markdownPreset : 'default';
+      presetSelect.value = preset;
+      fillTemplateFields(ChatRenderers.MARKDOWN_PRESETS[preset]);
+    }
+
+    frontMatterCheckbox.checked = settings.frontMatter;
+    frontMatterTagsInput.value = settings.frontMatterTags.join(', ');
+    frontMatterTagsInput.disabled = !settings.frontMatter;
+
+    thinkingSelect.value = settings.thinking;
+    draftsCheckbox.checked = settings.includeDrafts;
+    scrollOverlayCheckbox.checked = settings.scrollOverlay;
+    codeSupersedeCheckbox.checked = settings.codeSupersede;
+    archiveCheckbox.checked = settings.archiveExports;
+    updateOutputSelect.value = settings.updateOutput;
+
+    fillAutoSaveSites();
+    autoSaveArchiveCheckbox.checked = settings.autoSaveArchive;
+    autoSaveDownloadsCheckbox.checked = settings.autoSaveDownloads;
+    autoSaveFolderInput.value = settings.autoSaveFolder;
+    autoSaveFolderInput.disabled = !settings.autoSaveDownloads;
+
+    builtinProfileEl.textContent = JSON.stringify(SelectorProfiles.PROFILES[0], null, 2);
+    selectorOverrideInput.value = settings.selectorOverride ? JSON.stringify(settings.selectorOverride, null, 2) : '';
+    showSelectorProfile();
+
+    updatePreview();
+  }
+
+  // Event listeners
+  presetSelect.addEventListener('change', handlePresetChange);
+  templateFields.forEach(field => field.addEventListener('input', handleTemplateInput));
+  frontMatterCheckbox.addEventListener('change', handleFrontMatterChange);
+  frontMatterTagsInput.addEventListener('change', handleFrontMatterChange);
+  thinkingSelect.addEventListener('change', handleResponsePartsChange);
+  draftsCheckbox.addEventListener('change', handleResponsePartsChange);
+  scrollOverlayCheckbox.addEventListener('change', handleScrollOverlayChange);
+  codeSupersedeCheckbox.addEventListener('change', handleCodeSupersedeChange);
+  archiveCheckbox.addEventListener('change', handleArchiveChange);
+  updateOutputSelect.addEventListener('change', handleArchiveChange);
+  autoSaveArchiveCheckbox.addEventListener('change', handleAutoSaveChange);
+  autoSaveDownloadsCheckbox.addEventListener('change', handleAutoSaveChange);
+  autoSaveFolderInput.addEventListener('change', handleAutoSaveChange);
+  checkSelectorsBtn.addEventListener('click', handleCheckSelectors);
+  saveOverrideBtn.addEventListener('click', handleSaveOverride);
+
+  // Run init
+  init();
+})();
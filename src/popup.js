@@ -5,6 +5,23 @@
 
   const exportBtn = document.getElementById('export-btn');
   const copyBtn = document.getElementById('copy-btn');
+  const exportAllBtn = document.getElementById('export-all-btn');
+  const exportCodeBtn = document.getElementById('export-code-btn');
+  const updateBtn = document.getElementById('update-btn');
+  const selectBtn = document.getElementById('select-btn');
+  const selectionStatusEl = document.getElementById('selection-status');
+  const cancelBtn = document.getElementById('cancel-btn');
+  const bulkProgressEl = document.getElementById('bulk-progress');
+  const extractProgressEl = document.getElementById('extract-progress');
+  const cancelExtractBtn = document.getElementById('cancel-extract-btn');
+  const partialEl = document.getElementById('partial');
+  const keepPartialBtn = document.getElementById('keep-partial-btn');
+  const discardPartialBtn = document.getElementById('discard-partial-btn');
+  const formatSelect = document.getElementById('format-select');
+  const imageModeSelect = document.getElementById('image-mode-select');
+  const optionsLink = document.getElementById('options-link');
+  const archiveLink = document.getElementById('archive-link');
+  const diagnosticsLink = document.getElementById('diagnostics-link');
   const statusEl = document.getElementById('status');
   const resultEl = document.getElementById('result');
   const errorEl = document.getElementById('error');
@@ -42,41 +59,85 @@
   }
 
   /**
-   * Generate a safe filename from chat title
-   * @param {string} title - Chat title
-   * @returns {string} Safe filename
+   * Download rendered export as file via background script
+   * Using background script prevents popup close from killing the download
+   * @param {Object} rendered - Export from ChatRenderers.buildExport
+   * @returns {Promise} Promise resolving when download starts
    */
-  function generateFilename(title) {
-    const date = new Date().toISOString().split('T')[0];
-    const safeTitle = title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '')
-      .substring(0, 50);
+  function downloadExport(rendered) {
+    if (rendered.files) {
+      return browser.runtime.sendMessage({
+        action: 'downloadZip',
+        filename: rendered.filename,
+        files: rendered.files
+      });
+    }
 
-    return `gemini-${safeTitle}-${date}.md`;
+    return browser.runtime.sendMessage({
+      action: 'download',
+      content: rendered.content,
+      filename: rendered.filename,
+      mimeType: rendered.mimeType
+    });
   }
 
   /**
-   * Download markdown as file via background script
-   * Using background script prevents popup close from killing the download
-   * @param {string} markdown - Markdown content
-   * @param {string} filename - Filename
-   * @returns {Promise} Promise resolving when download starts
+   * Format a duration as minutes and seconds
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} e.g. "1:05"
    */
-  function downloadMarkdown(markdown, filename) {
-    return browser.runtime.sendMessage({
-      action: 'download',
-      content: markdown,
-      filename: filename
+  function formatElapsed(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Show how far the scroll through the conversation has come
+   * @param {Object} progress - Percentage scrolled, messages found and elapsed time
+   */
+  function showExtractProgress(progress) {
+    showStatus('');
+    extractProgressEl.classList.remove('hidden');
+    extractProgressEl.querySelector('.bulk-count').textContent = `${progress.percent}%`;
+    extractProgressEl.querySelector('.bulk-bar').value = progress.percent;
+    const messages = progress.messageCount === 1 ? 'message' : 'messages';
+    extractProgressEl.querySelector('.bulk-current').textContent =
+      `${progress.messageCount} ${messages} found · ${formatElapsed(progress.elapsed)}`;
+  }
+
+  /**
+   * Ask whether to go on with the messages found before a cancel
+   * @param {Object} result - Extraction result for the partial chat
+   * @returns {Promise<boolean>} Whether to use the partial chat
+   */
+  function offerPartialResult(result) {
+    const messages = result.messageCount === 1 ? 'message' : 'messages';
+    partialEl.querySelector('.partial-msg').textContent =
+      `Cancelled. Found ${result.messageCount} ${messages}, the most recent in the chat.`;
+    partialEl.classList.remove('hidden');
+
+    return new Promise((resolve) => {
+      const choose = (keep) => {
+        partialEl.classList.add('hidden');
+        keepPartialBtn.removeEventListener('click', onKeep);
+        discardPartialBtn.removeEventListener('click', onDiscard);
+        resolve(keep);
+      };
+      const onKeep = () => choose(true);
+      const onDiscard = () => choose(false);
+      keepPartialBtn.addEventListener('click', onKeep);
+      discardPartialBtn.addEventListener('click', onDiscard);
     });
   }
 
   /**
    * Extract chat from current tab
+   * Runs over a port so progress can be shown and the scroll cancelled
+   * @param {string} imageMode - How images should be exported
+   * @param {boolean} update - Update the archived export, scrolling only to known messages
    * @returns {Promise} Promise resolving to extraction result
    */
-  async function extractChat() {
+  async function extractChat(imageMode, update = false) {
     const tabs = await browser.tabs.query({ active: true, currentWindow: true });
     const tab = tabs[0];
 
@@ -84,32 +145,57 @@
       return { success: false, notGemini: true };
     }
 
-    return new Promise((resolve) => {
-      browser.tabs.sendMessage(tab.id, { action: 'extractChat' })
-        .then((response) => {
-          resolve(response);
-        })
-        .catch((err) => {
-          resolve({
-            success: false,
-            error: 'Could not communicate with the page. Please refresh the Gemini page and try again. Error: ' + err.message
-          });
+    const result = await new Promise((resolve) => {
+      const port = browser.tabs.connect(tab.id, { name: 'extractChat' });
+      const onCancel = () => {
+        cancelExtractBtn.disabled = true;
+        cancelExtractBtn.textContent = 'Cancelling...';
+        port.postMessage({ action: 'cancel' });
+      };
+      const finish = (response) => {
+        cancelExtractBtn.removeEventListener('click', onCancel);
+        cancelExtractBtn.disabled = false;
+        cancelExtractBtn.textContent = 'Cancel';
+        extractProgressEl.classList.add('hidden');
+        resolve(response);
+      };
+
+      port.onMessage.addListener((message) => {
+        if (message.type === 'progress') {
+          showExtractProgress(message);
+        } else if (message.type === 'result') {
+          port.disconnect();
+          finish(message.result);
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        finish({
+          success: false,
+          error: 'Could not communicate with the page. Please refresh the Gemini page and try again.'
         });
+      });
+
+      cancelExtractBtn.addEventListener('click', onCancel);
+      port.postMessage({ action: 'start', imageMode, update });
     });
+
+    if (result.success && result.cancelled && !(await offerPartialResult(result))) {
+      return { success: false, error: 'Export cancelled.' };
+    }
+    return result;
   }
 
   /**
    * Handle export button click
    */
   async function handleExport() {
-    exportBtn.disabled = true;
-    copyBtn.disabled = true;
+    setControlsDisabled(true);
     showStatus('Scrolling through conversation...', true);
     resultEl.classList.add('hidden');
     errorEl.classList.add('hidden');
 
     try {
-      const result = await extractChat();
+      const result = await extractChat(imageModeSelect.value);
 
       if (result.notGemini) {
         controlsEl.classList.add('hidden');
@@ -124,17 +210,80 @@
         return;
       }
 
-      const filename = generateFilename(result.title);
-      downloadMarkdown(result.markdown, filename);
+      const settings = await ExporterSettings.load();
+      const rendered = ChatRenderers.buildExport(result.chat, formatSelect.value, settings);
+      downloadExport(rendered);
 
       showStatus('');
-      showSuccess(`Exported ${result.messageCount} messages to ${filename}`);
+      showSuccess(`Exported ${result.messageCount} messages to ${rendered.filename}`);
     } catch (err) {
       showError(`Export failed: ${err.message}`);
       showStatus('');
     } finally {
-      exportBtn.disabled = false;
-      copyBtn.disabled = false;
+      setControlsDisabled(false);
+    }
+  }
+
+  /**
+   * Handle export new messages button click: update the last export of this chat
+   * Saves the whole updated chat, or only the new messages, as set in Settings
+   */
+  async function handleUpdate() {
+    setControlsDisabled(true);
+    showStatus('Looking for new messages...', true);
+    resultEl.classList.add('hidden');
+    errorEl.classList.add('hidden');
+
+    try {
+      const result = await extractChat(imageModeSelect.value, true);
+
+      if (result.notGemini) {
+        controlsEl.classList.add('hidden');
+        notGeminiEl.classList.remove('hidden');
+        showStatus('');
+        return;
+      }
+
+      if (!result.success) {
+        showError(result.error);
+        showStatus('');
+        return;
+      }
+
+      const { since, newMessageIds } = result.update;
+      const newCount = newMessageIds.length;
+      const summary = `${newCount} new ${newCount === 1 ? 'message' : 'messages'} since last export`;
+
+      if (since && newCount === 0) {
+        showStatus('');
+        showSuccess(summary);
+        return;
+      }
+
+      const settings = await ExporterSettings.load();
+      const delta = since && settings.updateOutput === 'delta';
+      let chat = result.chat;
+      if (delta) {
+        const newIds = new Set(newMessageIds);
+        chat = { ...chat, messages: chat.messages.filter(msg => newIds.has(msg.id)) };
+      }
+
+      const rendered = ChatRenderers.buildExport(chat, formatSelect.value, settings);
+      if (delta) {
+        // Keep the update apart from full exports of the same chat
+        rendered.filename = rendered.filename.replace(/(\.[^.]+)$/, '-new$1');
+      }
+      downloadExport(rendered);
+
+      showStatus('');
+      showSuccess(since
+        ? `${summary}. Saved to ${rendered.filename}`
+        : `No earlier export of this chat, so all ${result.messageCount} messages were exported to ${rendered.filename}`);
+    } catch (err) {
+      showError(`Export failed: ${err.message}`);
+      showStatus('');
+    } finally {
+      setControlsDisabled(false);
     }
   }
 
@@ -142,14 +291,15 @@
    * Handle copy button click
    */
   async function handleCopy() {
-    exportBtn.disabled = true;
-    copyBtn.disabled = true;
+    setControlsDisabled(true);
     showStatus('Scrolling through conversation...', true);
     resultEl.classList.add('hidden');
     errorEl.classList.add('hidden');
 
     try {
-      const result = await extractChat();
+      // Separate image files can't go on the clipboard, so link to the originals
+      const imageMode = imageModeSelect.value === 'bundle' ? 'remote' : imageModeSelect.value;
+      const result = await extractChat(imageMode);
 
       if (result.notGemini) {
         controlsEl.classList.add('hidden');
@@ -164,7 +314,9 @@
         return;
       }
 
-      await navigator.clipboard.writeText(result.markdown);
+      const settings = await ExporterSettings.load();
+      const rendered = ChatRenderers.render(result.chat, formatSelect.value, settings);
+      await navigator.clipboard.writeText(rendered.content);
 
       showStatus('');
       showSuccess(`Copied ${result.messageCount} messages to clipboard!`);
@@ -172,25 +324,300 @@
       showError(`Copy failed: ${err.message}`);
       showStatus('');
     } finally {
-      exportBtn.disabled = false;
-      copyBtn.disabled = false;
+      setControlsDisabled(false);
+    }
+  }
+
+  /**
+   * Handle export code button click: save every code block as a file in a ZIP
+   */
+  async function handleExportCode() {
+    setControlsDisabled(true);
+    showStatus('Scrolling through conversation...', true);
+    resultEl.classList.add('hidden');
+    errorEl.classList.add('hidden');
+
+    try {
+      // Images aren't part of a code export, so don't fetch them
+      const result = await extractChat('remote');
+
+      if (result.notGemini) {
+        controlsEl.classList.add('hidden');
+        notGeminiEl.classList.remove('hidden');
+        showStatus('');
+        return;
+      }
+
+      if (!result.success) {
+        showError(result.error);
+        showStatus('');
+        return;
+      }
+
+      const settings = await ExporterSettings.load();
+      const rendered = ChatRenderers.buildCodeExport(result.chat, settings);
+      if (rendered.blockCount === 0) {
+        showError('No code blocks found in this chat.');
+        showStatus('');
+        return;
+      }
+
+      downloadExport(rendered);
+
+      showStatus('');
+      showSuccess(`Exported ${rendered.blockCount} code blocks to ${rendered.filename}`);
+    } catch (err) {
+      showError(`Export failed: ${err.message}`);
+      showStatus('');
+    } finally {
+      setControlsDisabled(false);
+    }
+  }
+
+  /**
+   * Enable or disable the export controls
+   * @param {boolean} disabled - Whether the controls should be disabled
+   */
+  function setControlsDisabled(disabled) {
+    exportBtn.disabled = disabled;
+    copyBtn.disabled = disabled;
+    updateBtn.disabled = disabled;
+    exportCodeBtn.disabled = disabled;
+    selectBtn.disabled = disabled;
+    exportAllBtn.disabled = disabled;
+  }
+
+  /**
+   * Show whether selection mode is on and how many turns are selected
+   * @param {Object} status - Selection status reported by the content script
+   */
+  function showSelectionStatus(status) {
+    selectBtn.textContent = status.active ? 'Stop Selecting' : 'Select Messages';
+    selectionStatusEl.classList.toggle('hidden', !status.active);
+    if (!status.active) return;
+
+    let text;
+    if (status.count > 0) {
+      const turns = status.count === 1 ? 'turn' : 'turns';
+      text = `${status.count} ${turns} selected${status.onlyAssistant ? ' (Gemini answers only)' : ''}`;
+    } else {
+      text = status.onlyAssistant ? 'All Gemini answers selected' : 'No turns selected yet';
     }
+    selectionStatusEl.textContent = `${text} · Export and Copy use the selection`;
+  }
+
+  /**
+   * Handle select button click: turn selection mode on or off
+   * Turning it on closes the popup so the checkboxes in the page can be used
+   */
+  async function handleSelect() {
+    resultEl.classList.add('hidden');
+    errorEl.classList.add('hidden');
+
+    try {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      const current = await browser.tabs.sendMessage(tabs[0].id, { action: 'getSelectionStatus' });
+
+      if (current.active) {
+        showSelectionStatus(await browser.tabs.sendMessage(tabs[0].id, { action: 'stopSelection' }));
+        return;
+      }
+
+      await browser.tabs.sendMessage(tabs[0].id, { action: 'startSelection' });
+      window.close();
+    } catch (err) {
+      showError('Could not communicate with the page. Please refresh the Gemini page and try again. Error: ' + err.message);
+    }
+  }
+
+  /**
+   * Show progress of a running "export all chats" job
+   * @param {Object} state - Bulk export state reported by the content script
+   */
+  function showBulkProgress(state) {
+    setControlsDisabled(true);
+    bulkProgressEl.classList.remove('hidden');
+    bulkProgressEl.querySelector('.bulk-count').textContent =
+      state.total > 0 ? `${state.done} / ${state.total}` : 'Preparing...';
+    bulkProgressEl.querySelector('.bulk-bar').max = Math.max(state.total, 1);
+    bulkProgressEl.querySelector('.bulk-bar').value = state.done;
+    bulkProgressEl.querySelector('.bulk-current').textContent = state.current || '';
+    cancelBtn.disabled = state.cancelled;
+    cancelBtn.textContent = state.cancelled ? 'Cancelling...' : 'Cancel';
+  }
+
+  /**
+   * Show the outcome of a finished "export all chats" job
+   * @param {Object} state - Final bulk export state
+   */
+  function showBulkComplete(state) {
+    bulkProgressEl.classList.add('hidden');
+    setControlsDisabled(false);
+    showStatus('');
+
+    const exported = state.done - state.failures.length;
+    const skipped = state.failures
+      .map(failure => `${failure.title} (${failure.error})`)
+      .join('; ');
+
+    if (exported <= 0) {
+      showError(skipped ? `No chats were exported. ${skipped}` : 'No chats were exported.');
+      return;
+    }
+
+    let message = `Exported ${exported} of ${state.total} chats`;
+    if (state.cancelled) message += ' (cancelled)';
+    if (skipped) message += `. Skipped: ${skipped}`;
+    showSuccess(message);
+  }
+
+  /**
+   * Handle export all button click
+   */
+  async function handleExportAll() {
+    resultEl.classList.add('hidden');
+    errorEl.classList.add('hidden');
+
+    try {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      await browser.tabs.sendMessage(tabs[0].id, { action: 'startBulkExport' });
+      showBulkProgress({ done: 0, total: 0, current: 'Loading chat history...', cancelled: false });
+    } catch (err) {
+      showError('Could not communicate with the page. Please refresh the Gemini page and try again. Error: ' + err.message);
+    }
+  }
+
+  /**
+   * Handle cancel button click
+   */
+  async function handleCancel() {
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = 'Cancelling...';
+
+    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+    browser.tabs.sendMessage(tabs[0].id, { action: 'cancelBulkExport' });
+  }
+
+  /**
+   * Handle diagnostics link click: save a report on how the page was read,
+   * without any chat text, for attaching to a bug report
+   * @param {Event} event - Click event
+   */
+  async function handleDiagnostics(event) {
+    event.preventDefault();
+    setControlsDisabled(true);
+    showStatus('Scrolling through conversation...', true);
+    resultEl.classList.add('hidden');
+    errorEl.classList.add('hidden');
+
+    try {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      if (!tabs[0].url || !tabs[0].url.includes('gemini.google.com')) {
+        showError('Open a Gemini chat to generate diagnostics for it.');
+        showStatus('');
+        return;
+      }
+
+      const response = await browser.tabs.sendMessage(tabs[0].id, { action: 'runDiagnostics' });
+      if (!response.success) {
+        showError(response.error);
+        showStatus('');
+        return;
+      }
+
+      const filename = `gemini-diagnostics-${new Date().toISOString().slice(0, 10)}.json`;
+      downloadExport({
+        content: JSON.stringify(response.report, null, 2),
+        filename,
+        mimeType: 'application/json'
+      });
+
+      showStatus('');
+      showSuccess(`Saved ${filename}. It holds no chat text; attach it to your issue.`);
+    } catch (err) {
+      showError('Could not communicate with the page. Please refresh the Gemini page and try again. Error: ' + err.message);
+      showStatus('');
+    } finally {
+      setControlsDisabled(false);
+    }
+  }
+
+  /**
+   * Fill the format picker and select the saved format and image mode
+   */
+  async function initFormatSelect() {
+    Object.entries(ChatRenderers.FORMATS).forEach(([value, format]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = format.label;
+      formatSelect.appendChild(option);
+    });
+
+    const settings = await ExporterSettings.load();
+    formatSelect.value = settings.format;
+    imageModeSelect.value = settings.imageMode;
   }
 
   // Initialize
   async function init() {
+    await initFormatSelect();
+
     const tabs = await browser.tabs.query({ active: true, currentWindow: true });
     const tab = tabs[0];
 
     if (!tab.url || !tab.url.includes('gemini.google.com')) {
       controlsEl.classList.add('hidden');
       notGeminiEl.classList.remove('hidden');
+      return;
+    }
+
+    // Resume showing progress if an export of all chats is still running
+    try {
+      const state = await browser.tabs.sendMessage(tab.id, { action: 'getBulkStatus' });
+      if (state && state.running) {
+        showBulkProgress(state);
+      }
+
+      showSelectionStatus(await browser.tabs.sendMessage(tab.id, { action: 'getSelectionStatus' }));
+    } catch (err) {
+      // Content script not loaded yet; the export buttons report this on click
     }
   }
 
+  // Progress updates from the content script during "export all chats"
+  browser.runtime.onMessage.addListener((message) => {
+    if (message.action === 'bulkProgress') {
+      showBulkProgress(message);
+    } else if (message.action === 'bulkComplete') {
+      showBulkComplete(message);
+    }
+  });
+
   // Event listeners
   exportBtn.addEventListener('click', handleExport);
   copyBtn.addEventListener('click', handleCopy);
+  updateBtn.addEventListener('click', handleUpdate);
+  exportCodeBtn.addEventListener('click', handleExportCode);
+  selectBtn.addEventListener('click', handleSelect);
+  exportAllBtn.addEventListener('click', handleExportAll);
+  cancelBtn.addEventListener('click', handleCancel);
+  formatSelect.addEventListener('change', () => {
+    ExporterSettings.save({ format: formatSelect.value });
+  });
+  imageModeSelect.addEventListener('change', () => {
+    ExporterSettings.save({ imageMode: imageModeSelect.value });
+  });
+  optionsLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    browser.runtime.openOptionsPage();
+    window.close();
+  });
+  archiveLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    browser.tabs.create({ url: browser.runtime.getURL('src/archive.html') });
+    window.close();
+  });
+  diagnosticsLink.addEventListener('click', handleDiagnostics);
 
   // Run init
   init();
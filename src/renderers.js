@@ -0,0 +1,874 @@
+// Export renderers shared by the content script and popup
+// Every renderer is fed the same structured chat data built by content.js
+
+var ChatRenderers = (function() {
+  'use strict';
+
+  const { escapeHtml } = CodeHighlighter;
+
+  // Identifies the JSON export format; bump the version on breaking changes
+  const SCHEMA = 'gemini-chat-exporter/chat';
+  const SCHEMA_VERSION = 1;
+
+  // Built-in Markdown templates. Each template has a header and footer
+  // for the whole chat, a block per user/Gemini message, and a separator
+  // placed between messages. See fillTemplate for the placeholders.
+  const MARKDOWN_PRESETS = {
+    default: {
+      label: 'Default',
+      header: '# {{title}}\n\n' +
+        '*Exported from Gemini on {{date}}*\n\n' +
+        '**Messages:** {{totalCount}} total (👤 User: {{userCount}}, 🤖 Gemini: {{geminiCount}})\n\n' +
+        '---\n\n',
+      userMessage: '## 👤 User\n\n{{content}}\n\n',
+      assistantMessage: '## 🤖 Gemini\n\n{{content}}\n\n',
+      separator: '---\n\n',
+      footer: ''
+    },
+    plain: {
+      label: 'Plain',
+      header: '# {{title}}\n\nExported from Gemini on {{date}}\n\n',
+      userMessage: '## User\n\n{{content}}\n\n',
+      assistantMessage: '## Gemini\n\n{{content}}\n\n',
+      separator: '',
+      footer: ''
+    },
+    obsidian: {
+      label: 'Obsidian callouts',
+      header: '# {{title}}\n\n' +
+        '> [!info] Exported from Gemini on {{date}}\n' +
+        '> {{totalCount}} messages · {{url}}\n\n',
+      userMessage: '> [!question] User\n{{content|quote}}\n\n',
+      assistantMessage: '> [!note]+ Gemini\n{{content|quote}}\n\n',
+      separator: '',
+      footer: ''
+    },
+    transcript: {
+      label: 'Transcript',
+      header: '{{title}}\n\nExported from Gemini on {{date}}\n\n',
+      userMessage: '**User:** {{content}}\n\n',
+      assistantMessage: '**Gemini:** {{content}}\n\n',
+      separator: '',
+      footer: ''
+    }
+  };
+
+  // Filters usable as {{placeholder|filter}}
+  const TEMPLATE_FILTERS = {
+    // Prefix every line with "> " (blockquotes and Obsidian callouts)
+    quote: value => value.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'),
+    // Collapse the value onto a single line
+    inline: value => value.replace(/\s*\n\s*/g, ' '),
+    upper: value => value.toUpperCase(),
+    lower: value => value.toLowerCase()
+  };
+
+  /**
+   * Replace {{placeholder}} and {{placeholder|filter}} in a template
+   * Unknown placeholders are left untouched so mistakes are visible
+   * @param {string} template - Template text
+   * @param {Object} values - Placeholder values
+   * @returns {string} Filled template
+   */
+  function fillTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (match, name, filter) => {
+      if (!(name in values)) return match;
+      const value = String(values[name] === null || values[name] === undefined ? '' : values[name]);
+      return filter && TEMPLATE_FILTERS[filter] ? TEMPLATE_FILTERS[filter](value) : value;
+    });
+  }
+
+  /**
+   * Pick the Markdown template described by the settings
+   * @param {Object} settings - Export settings
+   * @returns {Object} Template with header, message, separator and footer parts
+   */
+  function resolveMarkdownTemplate(settings) {
+    if (settings && settings.markdownPreset === 'custom' && settings.markdownTemplate) {
+      return { ...MARKDOWN_PRESETS.default, ...settings.markdownTemplate };
+    }
+    const preset = settings && MARKDOWN_PRESETS[settings.markdownPreset];
+    return preset || MARKDOWN_PRESETS.default;
+  }
+
+  /**
+   * Format the export time, e.g. "January 15, 2025 at 02:30 PM PST"
+   * @param {string} exportedAt - ISO 8601 export time
+   * @returns {string} Human-readable date
+   */
+  function formatExportDate(exportedAt) {
+    const date = new Date(exportedAt);
+    const formatted = date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    // Get timezone abbreviation (e.g., "PST", "EST", "UTC")
+    const timezone = date.toLocaleTimeString('en-US', { timeZoneName: 'short' }).split(' ').pop();
+
+    return `${formatted} ${timezone}`;
+  }
+
+  /**
+   * Quote a string as a YAML double-quoted scalar
+   * JSON string syntax is a subset of YAML's double-quoted style, so colons,
+   * quotes, leading dashes and the like cannot break the front matter
+   * @param {string} value - String value
+   * @returns {string} Quoted YAML scalar
+   */
+  function yamlString(value) {
+    return JSON.stringify(String(value));
+  }
+
+  /**
+   * Get the canonical gemini.google.com link for a chat
+   * The page URL may carry an account prefix (/u/1/) or query string
+   * @param {Object} chat - Structured chat data
+   * @returns {string} Source URL
+   */
+  function sourceUrl(chat) {
+    if (chat.conversationId) {
+      return `https://gemini.google.com/app/${chat.conversationId}`;
+    }
+    return chat.url || '';
+  }
+
+  /**
+   * Build YAML front matter for note-taking apps (Obsidian, Logseq, Hugo)
+   * @param {Object} chat - Structured chat data
+   * @param {Array<string>} tags - User-defined tags
+   * @returns {string} Front matter block including its --- fences
+   */
+  function formatFrontMatter(chat, tags) {
+    const { messages } = chat;
+    const lines = [
+      `title: ${yamlString(chat.title)}`,
+      `source: ${yamlString(sourceUrl(chat))}`
+    ];
+
+    if (chat.conversationId) {
+      lines.push(`conversation_id: ${yamlString(chat.conversationId)}`);
+    }
+
+    lines.push(
+      `exported: ${chat.exportedAt}`,
+      `messages: ${messages.length}`,
+      `user_messages: ${messages.filter(m => m.role === 'user').length}`,
+      `gemini_messages: ${messages.filter(m => m.role === 'assistant').length}`
+    );
+
+    if (chat.model) {
+      lines.push(`model: ${yamlString(chat.model)}`);
+    }
+
+    if (tags && tags.length > 0) {
+      lines.push('tags:', ...tags.map(tag => `  - ${yamlString(tag)}`));
+    }
+
+    return `---\n${lines.join('\n')}\n---\n\n`;
+  }
+
+  /**
+   * Format a response's reasoning as Markdown
+   * @param {string} thinking - Reasoning as Markdown
+   * @param {string} mode - 'details' or 'quote'
+   * @returns {string} Reasoning block
+   */
+  function formatThinkingMarkdown(thinking, mode) {
+    if (mode === 'quote') {
+      return TEMPLATE_FILTERS.quote(`**Thinking**\n\n${thinking}`);
+    }
+    return `<details>\n<summary>Thinking</summary>\n\n${thinking}\n\n</details>`;
+  }
+
+  /**
+   * Make a URL safe to use as a Markdown link destination
+   * @param {string} url - Raw URL
+   * @returns {string} Escaped URL
+   */
+  function escapeUrl(url) {
+    return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+  }
+
+  /**
+   * Format a Markdown link, escaping the characters that would end it early
+   * @param {string} text - Link text
+   * @param {string} url - Link target
+   * @returns {string} Markdown link
+   */
+  function markdownLink(text, url) {
+    return `[${text.replace(/[[\]]/g, '\\$&')}](${escapeUrl(url)})`;
+  }
+
+  /**
+   * Format a response's sources as footnote definitions
+   * Sources listed under the response but never cited follow as a plain list
+   * @param {Array<Object>} sources - Sources with number, title and URL
+   * @returns {string} Sources section, or '' if there are none
+   */
+  function formatSourcesMarkdown(sources) {
+    if (!sources || sources.length === 0) return '';
+
+    const cited = sources.filter(source => source.number)
+      .map(source => `[^${source.number}]: ${markdownLink(source.title, source.url)}`);
+    const uncited = sources.filter(source => !source.number)
+      .map(source => `- ${markdownLink(source.title, source.url)}`);
+
+    return ['**Sources**', cited.join('\n'), uncited.join('\n')].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Build the Markdown body of a message, with reasoning and drafts if exported
+   * @param {Object} msg - Message from the structured chat data
+   * @param {Object} settings - Export settings
+   * @returns {string} Message Markdown
+   */
+  function messageMarkdown(msg, settings) {
+    const thinkingMode = (settings && settings.thinking) || 'omit';
+    const parts = [];
+
+    if (msg.thinking && thinkingMode !== 'omit') {
+      parts.push(formatThinkingMarkdown(msg.thinking.content, thinkingMode));
+    }
+
+    if (msg.drafts && settings && settings.includeDrafts) {
+      msg.drafts.forEach((draft, index) => {
+        const marker = draft.selected ? ' (selected)' : '';
+        // The selected draft's content also carries generated media
+        parts.push(`**Draft ${index + 1} of ${msg.drafts.length}${marker}**`);
+        if (draft.selected) {
+          parts.push(msg.content, formatSourcesMarkdown(msg.sources));
+        } else {
+          parts.push(draft.content, formatSourcesMarkdown(draft.sources));
+        }
+      });
+    } else {
+      parts.push(msg.content, formatSourcesMarkdown(msg.sources));
+    }
+
+    return parts.filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Format a chat as Markdown using the configured template
+   * @param {Object} chat - Structured chat data
+   * @param {Object} settings - Export settings (selects the template)
+   * @returns {string} Formatted Markdown
+   */
+  function formatAsMarkdown(chat, settings) {
+    const { messages } = chat;
+    const template = resolveMarkdownTemplate(settings);
+
+    // Placeholders available in every part of the template
+    const chatValues = {
+      title: chat.title,
+      date: formatExportDate(chat.exportedAt),
+      isoDate: chat.exportedAt,
+      url: chat.url,
+      conversationId: chat.conversationId,
+      totalCount: messages.length,
+      userCount: messages.filter(m => m.role === 'user').length,
+      geminiCount: messages.filter(m => m.role === 'assistant').length
+    };
+
+    let markdown = settings && settings.frontMatter
+      ? formatFrontMatter(chat, settings.frontMatterTags)
+      : '';
+    markdown += fillTemplate(template.header, chatValues);
+
+    messages.forEach((msg, index) => {
+      const isUser = msg.role === 'user';
+      markdown += fillTemplate(isUser ? template.userMessage : template.assistantMessage, {
+        ...chatValues,
+        role: isUser ? 'User' : 'Gemini',
+        content: messageMarkdown(msg, settings),
+        index: index + 1
+      });
+
+      if (index < messages.length - 1) {
+        markdown += fillTemplate(template.separator, chatValues);
+      }
+    });
+
+    markdown += fillTemplate(template.footer, chatValues);
+
+    return markdown;
+  }
+
+  /**
+   * Format a chat as JSON following the documented export schema
+   * @param {Object} chat - Structured chat data
+   * @returns {string} Pretty-printed JSON
+   */
+  function formatAsJson(chat) {
+    return JSON.stringify({
+      schema: SCHEMA,
+      schemaVersion: SCHEMA_VERSION,
+      title: chat.title,
+      conversationId: chat.conversationId,
+      url: chat.url,
+      model: chat.model || null,
+      exportedAt: chat.exportedAt,
+      messages: chat.messages.map(msg => ({
+        id: msg.id || null,
+        role: msg.role,
+        content: msg.content,
+        html: msg.html,
+        codeBlocks: msg.codeBlocks,
+        links: msg.links,
+        images: msg.images,
+        sources: msg.sources || [],
+        thinking: msg.thinking ? msg.thinking.content : null,
+        drafts: msg.drafts
+          ? msg.drafts.map(draft => ({ content: draft.content, sources: draft.sources || [], selected: draft.selected }))
+          : null
+      }))
+    }, null, 2) + '\n';
+  }
+
+  // Elements kept when sanitizing message HTML; anything else is unwrapped
+  const HTML_ALLOWED_TAGS = new Set([
+    'a', 'b', 'blockquote', 'br', 'code', 'del', 'details', 'em', 'h1', 'h2',
+    'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'kbd', 'li', 'mark', 'ol', 'p',
+    'pre', 's', 'strike', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody',
+    'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+  ]);
+
+  const HTML_VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+  // Elements dropped together with their content
+  const HTML_DROPPED_TAGS = new Set(['script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed', 'svg']);
+
+  const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+  /**
+   * Check that a URL uses a scheme that is safe to link to
+   * @param {string} url - URL from the message
+   * @param {boolean} allowImageData - Whether data:image URIs are allowed
+   * @returns {boolean} True if the URL may be kept
+   */
+  function isSafeUrl(url, allowImageData) {
+    if (/^(https?:|mailto:)/i.test(url)) return true;
+    if (!allowImageData) return false;
+    // Images bundled next to the export are referenced by relative path
+    return /^data:image\//i.test(url) || !/^[a-z][\w+.-]*:/i.test(url);
+  }
+
+  /**
+   * Find the language of a code block from its class or data attributes
+   * @param {Element} pre - Pre element
+   * @returns {string} Language identifier, or an empty string
+   */
+  function codeBlockLanguage(pre) {
+    for (const el of [pre.querySelector('code'), pre]) {
+      if (!el) continue;
+      const match = (el.getAttribute('class') || '').match(/language-(\w+)|lang-(\w+)/);
+      if (match) return match[1] || match[2];
+      const dataLang = el.getAttribute('data-language') || el.getAttribute('data-lang');
+      if (dataLang) return dataLang;
+    }
+    return '';
+  }
+
+  /**
+   * Serialize a node as sanitized HTML
+   * Only an allow-list of formatting elements and attributes survives;
+   * MathML is kept so equations render natively, and code blocks are
+   * syntax highlighted
+   * @param {Node} node - Parsed message node
+   * @returns {string} Sanitized HTML
+   */
+  function sanitizeNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeHtml(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const tag = node.localName.toLowerCase();
+    if (HTML_DROPPED_TAGS.has(tag)) return '';
+
+    if (node.namespaceURI === MATHML_NAMESPACE) {
+      const attrs = Array.from(node.attributes)
+        .filter(attr => !/^on|href/i.test(attr.name))
+        .map(attr => ` ${attr.name}="${escapeHtml(attr.value)}"`)
+        .join('');
+      const children = Array.from(node.childNodes).map(sanitizeNode).join('');
+      return `<${tag}${attrs}>${children}</${tag}>`;
+    }
+
+    if (tag === 'pre') {
+      const language = codeBlockLanguage(node);
+      const code = (node.querySelector('code') || node).textContent.replace(/\n$/, '');
+      const label = language ? `<span class="code-language">${escapeHtml(language)}</span>` : '';
+      return `<pre>${label}<code>${CodeHighlighter.highlight(code, language)}</code></pre>`;
+    }
+
+    const children = Array.from(node.childNodes).map(sanitizeNode).join('');
+    if (!HTML_ALLOWED_TAGS.has(tag)) return children;
+
+    let attrs = '';
+    if (tag === 'a') {
+      const href = node.getAttribute('href') || '';
+      if (!isSafeUrl(href, false)) return children;
+      attrs = ` href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer"`;
+    } else if (tag === 'img') {
+      const src = node.getAttribute('src') || '';
+      if (!isSafeUrl(src, true)) return '';
+      attrs = ` src="${escapeHtml(src)}" alt="${escapeHtml(node.getAttribute('alt') || '')}"`;
+    } else {
+      ['colspan', 'rowspan', 'align'].forEach(name => {
+        if (node.hasAttribute(name)) attrs += ` ${name}="${escapeHtml(node.getAttribute(name))}"`;
+      });
+    }
+
+    if (HTML_VOID_TAGS.has(tag)) return `<${tag}${attrs}>`;
+    return `<${tag}${attrs}>${children}</${tag}>`;
+  }
+
+  /**
+   * Sanitize a message's HTML for the standalone HTML export
+   * @param {string} html - Message HTML from the extraction
+   * @returns {string} Sanitized HTML
+   */
+  function sanitizeMessageHtml(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    return Array.from(doc.body.childNodes).map(sanitizeNode).join('').trim();
+  }
+
+  // Responses longer than this many words start collapsed in HTML exports
+  const HTML_COLLAPSE_WORDS = 400;
+
+  const HTML_STYLES = `
+    * { box-sizing: border-box; }
+    body { margin: 0; background: #f8f9fa; color: #202124; font: 15px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif; }
+    main { max-width: 860px; margin: 0 auto; padding: 32px 16px 64px; }
+    header { margin-bottom: 24px; padding-bottom: 16px; border-bottom: 1px solid #dadce0; }
+    h1.chat-title { margin: 0 0 8px; font-size: 26px; color: #1a73e8; }
+    .meta { margin: 0; color: #5f6368; font-size: 13px; }
+    .meta a { color: #1a73e8; }
+    .message { display: flex; flex-direction: column; margin: 16px 0; }
+    .message.user { align-items: flex-end; }
+    .message.assistant { align-items: flex-start; }
+    .role { margin: 0 12px 4px; font-size: 12px; font-weight: 600; color: #5f6368; }
+    .bubble { max-width: 100%; padding: 12px 16px; border-radius: 18px; overflow-wrap: anywhere; }
+    .user .bubble { max-width: 85%; background: #d3e3fd; border-bottom-right-radius: 4px; }
+    .assistant .bubble { width: 100%; background: #fff; border: 1px solid #e8eaed; border-bottom-left-radius: 4px; }
+    .bubble > :first-child { margin-top: 0; }
+    .bubble > :last-child { margin-bottom: 0; }
+    .bubble img { max-width: 100%; height: auto; border-radius: 8px; }
+    .bubble blockquote { margin: 8px 0; padding: 0 12px; border-left: 4px solid #dadce0; color: #5f6368; }
+    .bubble table { border-collapse: collapse; margin: 12px 0; display: block; overflow-x: auto; }
+    .bubble th, .bubble td { padding: 6px 12px; border: 1px solid #dadce0; text-align: left; vertical-align: top; }
+    .bubble th { background: #f1f3f4; }
+    .bubble code { font: 13px/1.5 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace; background: #f1f3f4; padding: 1px 4px; border-radius: 4px; }
+    .bubble pre { position: relative; margin: 12px 0; padding: 28px 16px 12px; background: #1e1e1e; color: #d4d4d4; border-radius: 8px; overflow-x: auto; }
+    .bubble pre code { background: none; padding: 0; color: inherit; white-space: pre; }
+    .code-language { position: absolute; top: 6px; right: 12px; font-size: 11px; color: #9aa0a6; text-transform: uppercase; }
+    .hl-keyword { color: #569cd6; }
+    .hl-literal { color: #4fc1ff; }
+    .hl-string { color: #ce9178; }
+    .hl-number { color: #b5cea8; }
+    .hl-comment { color: #6a9955; font-style: italic; }
+    .expand-toggle { display: none; }
+    .collapsible { max-height: 28em; overflow: hidden; -webkit-mask-image: linear-gradient(#000 75%, transparent); mask-image: linear-gradient(#000 75%, transparent); }
+    .expand-toggle:checked + .collapsible { max-height: none; -webkit-mask-image: none; mask-image: none; }
+    .expand-label { margin: 4px 12px; color: #1a73e8; font-size: 13px; cursor: pointer; }
+    .expand-label::after { content: 'Show full response'; }
+    .expand-toggle:checked ~ .expand-label::after { content: 'Show less'; }
+    .thinking { margin: 0 0 12px; padding: 8px 12px; background: #f8f9fa; border-left: 4px solid #dadce0; color: #5f6368; font-size: 14px; }
+    .thinking summary, .thinking-label { font-weight: 600; cursor: pointer; }
+    .sources { margin-top: 12px; padding-top: 8px; border-top: 1px solid #e8eaed; font-size: 13px; }
+    .sources-label { margin: 0 0 4px; font-weight: 600; color: #5f6368; }
+    .sources ul { margin: 0; padding-left: 0; list-style: none; }
+    .source-number { color: #5f6368; }
+    .draft + .draft { margin-top: 16px; padding-top: 12px; border-top: 1px dashed #dadce0; }
+    .draft-label { margin-bottom: 8px; font-size: 12px; font-weight: 600; color: #5f6368; }
+    .draft.selected .draft-label { color: #1a73e8; }
+    @media print {
+      body { background: #fff; font-size: 12px; }
+      main { max-width: none; padding: 0; }
+      .message { break-inside: avoid-page; }
+      .bubble { border: 1px solid #dadce0 !important; }
+      .user .bubble { background: #eef3fd; }
+      .collapsible { max-height: none; -webkit-mask-image: none; mask-image: none; }
+      .expand-label { display: none; }
+      .thinking { break-inside: avoid-page; }
+      .bubble pre { background: #f8f9fa; color: #202124; border: 1px solid #dadce0; white-space: pre-wrap; }
+      .bubble pre code { white-space: pre-wrap; }
+      .hl-keyword { color: #0b57d0; }
+      .hl-literal { color: #0b57d0; }
+      .hl-string { color: #a31515; }
+      .hl-number { color: #098658; }
+      .hl-comment { color: #5f6368; }
+      a { color: inherit; }
+    }
+  `;
+
+  /**
+   * Format a response's sources as an HTML list
+   * @param {Array<Object>} sources - Sources with number, title and URL
+   * @returns {string} Sources section, or '' if there are none
+   */
+  function formatSourcesHtml(sources) {
+    const items = (sources || [])
+      .filter(source => isSafeUrl(source.url, false))
+      .map(source => {
+        const number = source.number ? `<span class="source-number">[${source.number}]</span> ` : '';
+        return `<li>${number}<a href="${escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(source.title)}</a></li>`;
+      });
+
+    return items.length > 0
+      ? `<section class="sources"><p class="sources-label">Sources</p><ul>${items.join('')}</ul></section>`
+      : '';
+  }
+
+  /**
+   * Build the HTML body of a message, with reasoning and drafts if exported
+   * @param {Object} msg - Message from the structured chat data
+   * @param {Object} settings - Export settings
+   * @returns {string} Sanitized message HTML
+   */
+  function messageHtml(msg, settings) {
+    const thinkingMode = (settings && settings.thinking) || 'omit';
+    let body = sanitizeMessageHtml(msg.html || '') + formatSourcesHtml(msg.sources);
+
+    if (msg.drafts && settings && settings.includeDrafts) {
+      body = msg.drafts.map((draft, index) => {
+        const marker = draft.selected ? ' · selected' : '';
+        const draftBody = draft.selected
+          ? body
+          : sanitizeMessageHtml(draft.html || '') + formatSourcesHtml(draft.sources);
+        return `<section class="draft${draft.selected ? ' selected' : ''}">` +
+          `<div class="draft-label">Draft ${index + 1} of ${msg.drafts.length}${marker}</div>` +
+          `${draftBody}</section>`;
+      }).join('');
+    }
+
+    if (msg.thinking && thinkingMode !== 'omit') {
+      const thinking = sanitizeMessageHtml(msg.thinking.html || '');
+      body = (thinkingMode === 'quote'
+        ? `<blockquote class="thinking"><p class="thinking-label">Thinking</p>${thinking}</blockquote>`
+        : `<details class="thinking"><summary>Thinking</summary>${thinking}</details>`) + body;
+    }
+
+    return body;
+  }
+
+  /**
+   * Format a chat as a self-contained HTML page
+   * Styles are inlined and code is highlighted at export time, so the file
+   * needs no scripts or network access to display
+   * @param {Object} chat - Structured chat data
+   * @param {Object} settings - Export settings (reasoning and drafts)
+   * @returns {string} HTML document
+   */
+  function formatAsHtml(chat, settings) {
+    const { title, messages } = chat;
+    const date = formatExportDate(chat.exportedAt);
+
+    const userCount = messages.filter(m => m.role === 'user').length;
+    const geminiCount = messages.filter(m => m.role === 'assistant').length;
+    const source = chat.url ? ` · <a href="${escapeHtml(chat.url)}">Open in Gemini</a>` : '';
+
+    const turns = messages.map((msg, index) => {
+      const isUser = msg.role === 'user';
+      const body = messageHtml(msg, settings);
+      const words = msg.content.split(/\s+/).length;
+
+      let bubble = `<div class="bubble">${body}</div>`;
+      if (!isUser && words > HTML_COLLAPSE_WORDS) {
+        const id = `expand-${index + 1}`;
+        bubble = `<input type="checkbox" class="expand-toggle" id="${id}">` +
+          `<div class="bubble collapsible">${body}</div>` +
+          `<label class="expand-label" for="${id}"></label>`;
+      }
+
+      return `<article class="message ${isUser ? 'user' : 'assistant'}">
+  <div class="role">${isUser ? '👤 User' : '🤖 Gemini'}</div>
+  ${bubble}
+</article>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+  <h1 class="chat-title">${escapeHtml(title)}</h1>
+  <p class="meta">Exported from Gemini on ${escapeHtml(date)}${source}</p>
+  <p class="meta">${messages.length} messages (👤 User: ${userCount}, 🤖 Gemini: ${geminiCount})</p>
+</header>
+${turns}
+</main>
+</body>
+</html>
+`;
+  }
+
+  // Available export formats, keyed by the value stored in settings
+  const FORMATS = {
+    markdown: {
+      label: 'Markdown',
+      extension: 'md',
+      mimeType: 'text/markdown;charset=utf-8',
+      render: formatAsMarkdown
+    },
+    html: {
+      label: 'HTML',
+      extension: 'html',
+      mimeType: 'text/html;charset=utf-8',
+      render: formatAsHtml
+    },
+    json: {
+      label: 'JSON',
+      extension: 'json',
+      mimeType: 'application/json;charset=utf-8',
+      render: formatAsJson
+    }
+  };
+
+  // File extensions for code files, keyed by lowercase language name
+  const LANGUAGE_EXTENSIONS = {
+    bash: 'sh', c: 'c', 'c#': 'cs', 'c++': 'cpp', cpp: 'cpp', cs: 'cs', csharp: 'cs',
+    css: 'css', dart: 'dart', go: 'go', golang: 'go', haskell: 'hs', html: 'html',
+    java: 'java', javascript: 'js', js: 'js', json: 'json', jsx: 'jsx', kotlin: 'kt',
+    latex: 'tex', less: 'less', lua: 'lua', markdown: 'md', md: 'md', objectivec: 'm',
+    perl: 'pl', php: 'php', powershell: 'ps1', py: 'py', python: 'py', r: 'r',
+    ruby: 'rb', rust: 'rs', scala: 'scala', scss: 'scss', sh: 'sh', shell: 'sh',
+    sql: 'sql', swift: 'swift', tex: 'tex', toml: 'toml', ts: 'ts', tsx: 'tsx',
+    typescript: 'ts', xml: 'xml', yaml: 'yml', yml: 'yml', zsh: 'sh'
+  };
+
+  // Written next to the code files; a hinted file of the same name is renamed
+  const CODE_MANIFEST_PATH = 'code-manifest.json';
+
+  /**
+   * Pick a file extension for code in a language
+   * @param {string} language - Language identifier
+   * @returns {string} Extension without the dot; 'txt' for unknown languages
+   */
+  function codeFileExtension(language) {
+    return LANGUAGE_EXTENSIONS[(language || '').toLowerCase()] || 'txt';
+  }
+
+  /**
+   * Make a hinted file path safe to use inside a ZIP archive
+   * @param {string} path - Path from the chat text
+   * @returns {string} Relative path without '.' or '..' segments, or '' if nothing is left
+   */
+  function sanitizeCodePath(path) {
+    return path
+      .replace(/\\/g, '/')
+      .split('/')
+      .filter(segment => segment && segment !== '.' && segment !== '..')
+      .map(segment => segment.replace(/[<>:"|?*\x00-\x1f]/g, '_'))
+      .join('/');
+  }
+
+  /**
+   * Add a number before a path's extension, e.g. app.js → app-2.js
+   * @param {string} path - File path
+   * @param {number} number - Number to add
+   * @returns {string} Numbered path
+   */
+  function numberedPath(path, number) {
+    const match = path.match(/^(.*?)(\.[^./]+)?$/);
+    return `${match[1]}-${number}${match[2] || ''}`;
+  }
+
+  /**
+   * Build a ZIP export with one file per code block in the chat
+   * Files are named after the path hint found next to the block, or numbered
+   * with an extension for the block's language. A manifest maps every file
+   * back to the turn it came from.
+   * @param {Object} chat - Structured chat data
+   * @param {Object} settings - Export settings; codeSupersede makes a later
+   *   block with the same path replace the earlier one instead of being renamed
+   * @returns {Object} Export with filename, files and the number of code blocks
+   */
+  function buildCodeExport(chat, settings) {
+    const supersede = !!(settings && settings.codeSupersede);
+    const files = new Map();
+    const entries = [];
+    let unnamed = 0;
+
+    chat.messages.forEach((msg, messageIndex) => {
+      (msg.codeBlocks || []).forEach((block, blockIndex) => {
+        const hinted = block.path ? sanitizeCodePath(block.path) : '';
+        let path = hinted;
+        if (!path) {
+          unnamed++;
+          path = `snippet-${String(unnamed).padStart(3, '0')}.${codeFileExtension(block.language)}`;
+        }
+
+        const entry = {
+          path,
+          hint: block.path || null,
+          language: block.language || null,
+          turn: messageIndex + 1,
+          messageId: msg.id || null,
+          role: msg.role,
+          block: blockIndex + 1,
+          supersededBy: null
+        };
+
+        const existing = files.get(path);
+        if (existing && supersede) {
+          existing.supersededBy = entries.length + 1;
+        } else if (existing || path === CODE_MANIFEST_PATH) {
+          let number = 2;
+          while (files.has(numberedPath(path, number))) number++;
+          entry.path = numberedPath(path, number);
+        }
+
+        entry.code = block.code.endsWith('\n') ? block.code : `${block.code}\n`;
+        files.set(entry.path, entry);
+        entries.push(entry);
+      });
+    });
+
+    const manifest = {
+      schema: `${SCHEMA}-code`,
+      schemaVersion: SCHEMA_VERSION,
+      title: chat.title,
+      conversationId: chat.conversationId,
+      url: chat.url,
+      exportedAt: chat.exportedAt,
+      supersede,
+      // supersededBy is the 1-based position of the block that replaced this one
+      files: entries.map(({ code, ...entry }) => entry)
+    };
+
+    return {
+      filename: generateFilename(`${chat.title} code`, 'zip'),
+      blockCount: entries.length,
+      files: [
+        ...Array.from(files.values()).map(entry => ({ path: entry.path, content: entry.code })),
+        { path: CODE_MANIFEST_PATH, content: JSON.stringify(manifest, null, 2) + '\n' }
+      ]
+    };
+  }
+
+  /**
+   * Reduce a chat title to a lowercase, hyphenated filename fragment
+   * @param {string} title - Chat title
+   * @returns {string} Safe filename fragment
+   */
+  function slugify(title) {
+    return title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .substring(0, 50);
+  }
+
+  /**
+   * Generate a safe filename from chat title
+   * @param {string} title - Chat title
+   * @param {string} extension - File extension without the dot
+   * @returns {string} Safe filename
+   */
+  function generateFilename(title, extension) {
+    const date = new Date().toISOString().split('T')[0];
+    return `gemini-${slugify(title)}-${date}.${extension}`;
+  }
+
+  /**
+   * Decode a data URI into bytes
+   * @param {string} dataUri - Base64 data URI
+   * @returns {Uint8Array} Decoded bytes
+   */
+  function dataUriToBytes(dataUri) {
+    const base64 = dataUri.substring(dataUri.indexOf(',') + 1);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * List a chat's bundled attachments as ZIP entries
+   * @param {Object} chat - Structured chat data
+   * @returns {Array<Object>} Entries with path and byte content
+   */
+  function attachmentFiles(chat) {
+    return (chat.attachments || []).map(attachment => ({
+      path: attachment.path,
+      content: dataUriToBytes(attachment.dataUri)
+    }));
+  }
+
+  /**
+   * Render a chat in the given format
+   * @param {Object} chat - Structured chat data
+   * @param {string} format - Key of FORMATS
+   * @param {Object} settings - Export settings passed on to the renderer
+   * @returns {Object} Rendered content with its filename and MIME type
+   */
+  function render(chat, format, settings) {
+    const renderer = FORMATS[format] || FORMATS.markdown;
+    return {
+      content: renderer.render(chat, settings),
+      filename: generateFilename(chat.title, renderer.extension),
+      mimeType: renderer.mimeType
+    };
+  }
+
+  /**
+   * Build the file(s) to save for a chat
+   * Chats with bundled attachments (images saved as separate files) become
+   * a ZIP holding the export plus its attachments
+   * @param {Object} chat - Structured chat data
+   * @param {string} format - Key of FORMATS
+   * @param {Object} settings - Export settings passed on to the renderer
+   * @returns {Object} A single rendered file, or a ZIP description with files
+   */
+  function buildExport(chat, format, settings) {
+    const rendered = render(chat, format, settings);
+    if (!chat.attachments || chat.attachments.length === 0) {
+      return rendered;
+    }
+
+    return {
+      filename: rendered.filename.replace(/\.[^.]+$/, '.zip'),
+      files: [
+        { path: rendered.filename, content: rendered.content },
+        ...attachmentFiles(chat)
+      ]
+    };
+  }
+
+  return {
+    SCHEMA,
+    SCHEMA_VERSION,
+    FORMATS,
+    MARKDOWN_PRESETS,
+    fillTemplate,
+    formatFrontMatter,
+    formatAsMarkdown,
+    formatMessageMarkdown: messageMarkdown,
+    formatAsJson,
+    formatAsHtml,
+    slugify,
+    escapeUrl,
+    generateFilename,
+    attachmentFiles,
+    render,
+    buildExport,
+    buildCodeExport,
+    codeFileExtension
+  };
+})();
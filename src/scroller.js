@@ -0,0 +1,501 @@
+// Scrolling through a Gemini chat to extract all of it
+// Gemini only renders the messages near the viewport (virtual scrolling), so
+// the chat is read in windows from the bottom up and merged by message ID
+
+var ChatScroller = (function() {
+  'use strict';
+
+  const {
+    selectors,
+    messageSelector,
+    deduplicateMessages,
+    numberCitations,
+    countCitations,
+    getChatTitle,
+    collapseThinkingPanels,
+    listMessageElements,
+    extractVisible,
+    sleep,
+    getConversationId,
+    getModelName
+  } = ChatExtractor;
+
+  /**
+   * Find the scrollable chat container (main pane, not sidebar)
+   * @param {Object} trace - Optional; records which strategy found the container, for diagnostics
+   * @returns {Element|null} The scrollable container element
+   */
+  function findScrollContainer(trace = {}) {
+    // Try to find elements that contain the conversation messages
+    const turnElements = document.querySelectorAll(`${messageSelector()}, ${selectors.turn}`);
+
+    if (turnElements.length > 0) {
+      // Find the scrollable parent of the first turn
+      let el = turnElements[0].parentElement;
+      while (el && el !== document.body) {
+        const style = window.getComputedStyle(el);
+        const isScrollable = (
+          el.scrollHeight > el.clientHeight + 20 &&
+          (style.overflowY === 'auto' || style.overflowY === 'scroll' || style.overflowY === 'overlay')
+        );
+
+        if (isScrollable) {
+          trace.strategy = 'message-parent';
+          return el;
+        }
+        el = el.parentElement;
+      }
+    }
+
+    // Try looking for common chat container patterns
+    for (const selector of selectors.scrollContainer) {
+      const el = document.querySelector(selector);
+      if (el) {
+        // Check if this element or a parent is scrollable
+        let current = el;
+        while (current && current !== document.body) {
+          if (current.scrollHeight > current.clientHeight + 20) {
+            trace.strategy = 'selector';
+            trace.selector = selector;
+            return current;
+          }
+          current = current.parentElement;
+        }
+      }
+    }
+
+    // Look for any element with significant scroll that's in the right portion of screen
+    const candidates = [];
+    document.querySelectorAll('*').forEach(el => {
+      if (el.scrollHeight > el.clientHeight + 100 && el.clientHeight > 300) {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+
+        // Must be scrollable
+        if (style.overflowY !== 'auto' && style.overflowY !== 'scroll' && style.overflowY !== 'overlay') {
+          return;
+        }
+
+        // Exclude elements on far left (sidebar) - sidebar is usually < 300px wide and starts at 0
+        if (rect.left < 50 && rect.width < 350) {
+          return;
+        }
+
+        candidates.push({
+          el,
+          rect,
+          scrollHeight: el.scrollHeight,
+          area: rect.width * rect.height
+        });
+      }
+    });
+
+    // Sort by area (largest first)
+    candidates.sort((a, b) => b.area - a.area);
+
+    trace.candidates = candidates.length;
+    if (candidates.length > 0) {
+      trace.strategy = 'largest-scrollable';
+      return candidates[0].el;
+    }
+
+    // Last resort: use window scrolling
+    trace.strategy = 'window';
+    return null;
+  }
+
+  /**
+   * Get the top edge of the visible part of the chat
+   * @param {Element|null} container - Scroll container, or null for the window
+   * @returns {number} Viewport coordinate of the top edge
+   */
+  function getViewTop(container) {
+    return container ? container.getBoundingClientRect().top : 0;
+  }
+
+  /**
+   * Record what the user is looking at: the scroll offset, and the first
+   * message in view with its distance from the top of the view
+   * @param {Element|null} container - Scroll container, or null for the window
+   * @returns {Object} Saved viewport
+   */
+  function saveViewport(container) {
+    const scroller = container || document.scrollingElement || document.documentElement;
+    const viewTop = getViewTop(container);
+    const anchor = listMessageElements().find(({ el }) => el.getBoundingClientRect().bottom > viewTop);
+
+    return {
+      scrollTop: scroller.scrollTop,
+      anchorId: anchor ? anchor.id : null,
+      anchorOffset: anchor ? anchor.el.getBoundingClientRect().top - viewTop : 0
+    };
+  }
+
+  /**
+   * Return to a saved viewport
+   * The scroll offset alone can drift once virtual scrolling re-renders
+   * messages at different heights, so the anchor message is lined up again
+   * @param {Element|null} container - Scroll container, or null for the window
+   * @param {Object} viewport - Viewport from saveViewport
+   * @returns {Promise} Resolves once the view is restored
+   */
+  async function restoreViewport(container, viewport) {
+    const scroller = container || document.scrollingElement || document.documentElement;
+    scroller.scrollTop = viewport.scrollTop;
+    if (!viewport.anchorId) return;
+
+    await sleep(150);
+    const anchor = listMessageElements().find(({ id }) => id === viewport.anchorId);
+    if (anchor) {
+      scroller.scrollTop += anchor.el.getBoundingClientRect().top - getViewTop(container) - viewport.anchorOffset;
+    }
+  }
+
+  /**
+   * Cover the conversation while it is scrolled through, hiding the flicker
+   * @param {Element|null} container - Scroll container, or null for the window
+   * @returns {Element} Overlay element
+   */
+  function showScrollOverlay(container) {
+    const rect = container
+      ? container.getBoundingClientRect()
+      : { top: 0, left: 0, width: window.innerWidth, height: window.innerHeight };
+
+    const overlay = document.createElement('div');
+    overlay.className = 'gce-scroll-overlay';
+    overlay.setAttribute('role', 'status');
+    Object.assign(overlay.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    overlay.textContent = 'Exporting chat...';
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Auto-scroll through the conversation to load all messages
+   * The user's view and the container's styles are put back afterwards,
+   * whether the scroll finished, stopped early or failed
+   * @param {Array} messages - Messages array to populate
+   * @param {Object} extraction - Extraction state with options and collected drafts
+   * @returns {Promise} Resolves when scrolling is complete
+   */
+  async function autoScrollConversation(messages, extraction) {
+    const container = findScrollContainer();
+    const viewport = saveViewport(container);
+    const overflowAnchor = container ? container.style.overflowAnchor : '';
+
+    // Disable scroll anchoring which can interfere with programmatic scrolling
+    if (container) {
+      container.style.overflowAnchor = 'none';
+    }
+
+    extraction.overlay = extraction.options.overlay ? showScrollOverlay(container) : null;
+
+    try {
+      await scrollThroughConversation(container, messages, extraction);
+    } finally {
+      if (container) {
+        container.style.overflowAnchor = overflowAnchor;
+      }
+      await restoreViewport(container, viewport);
+      if (extraction.overlay) {
+        extraction.overlay.remove();
+        extraction.overlay = null;
+      }
+    }
+  }
+
+  /**
+   * Scroll from the bottom of the conversation to the top, extracting as it goes
+   * Extracts messages during scrolling to handle virtual scrolling
+   * @param {Element|null} container - Scroll container, or null for the window
+   * @param {Array} messages - Messages array to populate
+   * @param {Object} extraction - Extraction state with options and collected drafts
+   * @returns {Promise} Resolves when scrolling is complete
+   */
+  async function scrollThroughConversation(container, messages, extraction) {
+    // Helper functions for scrolling (works with element or window)
+    const getScrollTop = () => {
+      if (container) return container.scrollTop;
+      return window.scrollY || document.documentElement.scrollTop;
+    };
+
+    const getScrollHeight = () => {
+      if (container) return container.scrollHeight;
+      return document.documentElement.scrollHeight;
+    };
+
+    const getClientHeight = () => {
+      if (container) return container.clientHeight;
+      return window.innerHeight;
+    };
+
+    const scrollBy = (amount) => {
+      if (container) {
+        container.scrollTop += amount;
+      } else {
+        window.scrollBy(0, amount);
+      }
+    };
+
+    const setScrollTop = (value) => {
+      if (container) {
+        container.scrollTop = value;
+      } else {
+        window.scrollTo(0, value);
+      }
+    };
+
+    // Share how far up the chat the scroll has come, how many messages were found, and the time taken
+    const reportProgress = () => {
+      const scrollable = getScrollHeight() - getClientHeight();
+      const percent = scrollable > 0 ? Math.round(100 * (scrollable - getScrollTop()) / scrollable) : 100;
+      const progress = {
+        percent: Math.min(100, Math.max(0, percent)),
+        messageCount: messages.length,
+        elapsed: Date.now() - extraction.startedAt
+      };
+
+      if (extraction.overlay) {
+        extraction.overlay.textContent = `Exporting chat... ${progress.messageCount} messages found`;
+      }
+      if (extraction.control.onProgress) {
+        extraction.control.onProgress(progress);
+      }
+    };
+
+    // Gemini uses virtual scrolling - extract messages during scroll
+    // Start at the bottom to ensure we capture newest messages first
+
+    // Scroll statistics for diagnostics
+    const stats = Object.assign(extraction.trace || {}, { steps: 0, stepSize: 0, adaptiveWaits: 0, stuckSteps: 0, maxStuckCount: 0, endReason: null });
+
+    // Jump to bottom first and wait for content to stabilize
+    setScrollTop(getScrollHeight());
+    await sleep(200);
+
+    // Extract at current position (bottom) - these are the newest messages
+    await extractVisible(messages, false, extraction);
+
+    // Wait and extract again in case more content loaded
+    await sleep(100);
+    await extractVisible(messages, false, extraction);
+
+    // Updating an earlier export: everything older than a known message is archived already
+    const reachedKnown = () => extraction.known && messages.some(msg => extraction.known.has(msg.id));
+    if (reachedKnown()) {
+      stats.endReason = 'known-messages';
+      return;
+    }
+
+    // Use 70% of viewport height to ensure good overlap between scroll positions
+    const scrollStep = Math.max(400, Math.floor(getClientHeight() * 0.7));
+    let stuckCount = 0;
+    let scrollCount = 0;
+    const maxScrolls = 500;
+    stats.stepSize = scrollStep;
+
+    // Scroll UP through the conversation to load older messages
+    while (scrollCount < maxScrolls && !extraction.control.cancelled) {
+      reportProgress();
+      const previousScrollTop = getScrollTop();
+      const previousScrollHeight = getScrollHeight();
+      const previousMessageCount = messages.length;
+
+      // Scroll UP (negative direction)
+      scrollBy(-scrollStep);
+      stats.steps++;
+
+      // Wait for content to load - short base delay, adaptive logic will extend if needed
+      await sleep(50);
+
+      // Extract visible messages - prepend since we're scrolling up (older messages)
+      await extractVisible(messages, true, extraction);
+
+      let currentScrollTop = getScrollTop();
+      let currentScrollHeight = getScrollHeight();
+      let currentMessageCount = messages.length;
+
+      // Adaptive waiting: if content changed, Gemini may still be loading more
+      // Wait and check again in a loop until content stabilizes
+      let adaptiveLoops = 0;
+      while (adaptiveLoops < 5) {
+        await sleep(75);
+        await extractVisible(messages, true, extraction);
+        const newScrollHeight = getScrollHeight();
+
+        if (newScrollHeight === currentScrollHeight && messages.length === currentMessageCount) {
+          // Content has stabilized
+          break;
+        }
+
+        // Content still changing - update and continue waiting
+        currentScrollHeight = newScrollHeight;
+        currentMessageCount = messages.length;
+        adaptiveLoops++;
+        stats.adaptiveWaits++;
+      }
+
+      if (reachedKnown()) {
+        stats.endReason = 'known-messages';
+        return;
+      }
+
+      // Check if new content loaded: a taller chat or more messages
+      if (currentScrollHeight > previousScrollHeight || messages.length > previousMessageCount) {
+        stuckCount = 0;
+      }
+
+      // Check if we've reached the top or are stuck
+      if (Math.abs(currentScrollTop - previousScrollTop) < 10) {
+        stuckCount++;
+        stats.stuckSteps++;
+        stats.maxStuckCount = Math.max(stats.maxStuckCount, stuckCount);
+        if (stuckCount >= 3) {
+          stats.endReason = 'stuck';
+          break;
+        }
+      } else {
+        stuckCount = 0;
+      }
+
+      // Check if at top
+      if (currentScrollTop <= 10) {
+        stats.endReason = 'top';
+        break;
+      }
+
+      scrollCount++;
+    }
+
+    // Cancelled: keep what was found
+    if (extraction.control.cancelled) {
+      stats.endReason = 'cancelled';
+      return;
+    }
+    stats.endReason = stats.endReason || 'max-scrolls';
+    reportProgress();
+
+    // One final extraction at the top
+    await extractVisible(messages, true, extraction);
+
+    // Scroll to absolute top and wait for content to load
+    setScrollTop(0);
+    await sleep(300);
+    await extractVisible(messages, true, extraction);
+
+    // Wait a bit more and extract again - Gemini can be slow loading oldest messages
+    await sleep(200);
+    await extractVisible(messages, true, extraction);
+
+    // One more scroll to 0 in case content shifted
+    setScrollTop(0);
+    await sleep(200);
+    await extractVisible(messages, true, extraction);
+  }
+
+  /**
+   * Combine an earlier export with messages extracted since
+   * The archived messages are kept up to the first one extracted again; from
+   * there on the fresh copies are used, as a response may have changed
+   * @param {Array} archived - Messages of the earlier export
+   * @param {Array} extracted - Messages extracted now, in chat order
+   * @param {boolean} keepLater - Also keep archived messages after the last
+   *   one extracted, for extractions that did not start at the bottom
+   * @returns {Object} Archived messages to keep before and after the
+   *   extracted messages, and the extracted messages to add
+   */
+  function mergeArchivedMessages(archived, extracted, keepLater = false) {
+    const first = extracted.find(msg => archived.some(old => old.id === msg.id));
+    if (!first) {
+      return { kept: [], added: extracted, later: [] };
+    }
+
+    const overlap = archived.findIndex(old => old.id === first.id);
+    const last = extracted.length > 0 ? archived.findIndex(old => old.id === extracted[extracted.length - 1].id) : -1;
+    return {
+      kept: archived.slice(0, overlap),
+      added: extracted,
+      later: keepLater && last >= 0 ? archived.slice(last + 1) : []
+    };
+  }
+
+  // Extractions in progress; auto-save waits for them so two don't scroll at once
+  let extractionsRunning = 0;
+
+  /**
+   * Check whether an extraction is scrolling through the chat
+   * @returns {boolean} Whether one is in progress
+   */
+  function isExtracting() {
+    return extractionsRunning > 0;
+  }
+
+  /**
+   * Extract the open chat, scrolling through it to load every message
+   * @param {Object} options - thinking, expandThinking: false to read only
+   *   reasoning panels already open, drafts, a filter for the messages,
+   *   scroll: false to read only the messages rendered now, leaving the
+   *   view alone, previous: an earlier export of this chat to update, and control:
+   *   an onProgress callback and cancelled flag (a cancelled extraction
+   *   returns the messages found so far), and trace: an object that
+   *   receives scroll statistics, for diagnostics
+   * @returns {Promise<Object>} Structured chat data
+   */
+  async function extractCurrentChat(options = {}) {
+    const extraction = {
+      options: { thinking: false, expandThinking: true, drafts: false, filter: null, previous: null, overlay: false, scroll: true, ...options },
+      // Progress callback and cancel flag shared with the caller
+      control: options.control || {},
+      startedAt: Date.now(),
+      drafts: new Map(),
+      openedPanels: [],
+      // IDs of messages in the earlier export; scrolling stops once one is seen
+      known: options.previous ? new Set(options.previous.messages.map(msg => msg.id)) : null,
+      // Diagnostics: receives statistics on how the scroll went
+      trace: options.trace || null
+    };
+
+    // Extract messages during scroll to handle virtual scrolling
+    const messages = [];
+    extractionsRunning++;
+    try {
+      if (extraction.options.scroll) {
+        await autoScrollConversation(messages, extraction);
+      } else {
+        await extractVisible(messages, false, extraction);
+      }
+    } finally {
+      extractionsRunning--;
+      collapseThinkingPanels(extraction);
+    }
+
+    // Messages are already in DOM order; drop any ID collected twice
+    let uniqueMessages = deduplicateMessages(messages);
+    if (extraction.options.filter) {
+      uniqueMessages = extraction.options.filter(uniqueMessages);
+    }
+
+    // Without scrolling, the rendered messages may end above the last archived one
+    const { kept, added, later } = extraction.options.previous
+      ? mergeArchivedMessages(extraction.options.previous.messages, uniqueMessages, !extraction.options.scroll)
+      : { kept: [], added: uniqueMessages, later: [] };
+    numberCitations(added, countCitations(kept));
+    uniqueMessages = [...kept, ...added, ...later];
+
+    return {
+      title: getChatTitle(),
+      conversationId: getConversationId(),
+      url: location.href,
+      model: getModelName(),
+      exportedAt: new Date().toISOString(),
+      messages: uniqueMessages
+    };
+  }
+
+  return { findScrollContainer, autoScrollConversation, mergeArchivedMessages, extractCurrentChat, isExtracting };
+})();
@@ -0,0 +1,195 @@
+// Selector profiles describing Gemini's markup
+// Shared by the content script and the options page. A user-supplied
+// override (JSON from the options page) patches the built-in profile, so a
+// change to Gemini's markup can be worked around without a new release
+
+var SelectorProfiles = (function() {
+  'use strict';
+
+  // Built-in profiles, newest first; version is when the markup was last checked
+  const PROFILES = [
+    {
+      name: 'gemini',
+      version: '2025.10',
+      selectors: {
+        // Messages: Gemini uses custom Angular elements, siblings in the DOM
+        userMessage: 'user-query',
+        assistantMessage: 'model-response',
+        // Text of a response, inside its message element
+        responseText: '.model-response-text message-content, .model-response-text .markdown, .model-response-text',
+        // Conversation turn holding a prompt and its response
+        turn: '.conversation-container[id], conversation-turn[id], [data-turn-id], [class*="conversation-turn"][id]',
+        // Chat title, tried in order
+        title: ['[class*="conversation-title"]', '[class*="chat-title"]', '.title', 'h1'],
+        // Model picker showing the selected model, tried in order
+        model: [
+          '[data-test-id="bard-mode-menu-button"]',
+          'bard-mode-switcher button',
+          '[class*="model-selector"] button',
+          '[class*="current-mode-title"]'
+        ],
+        // Interface elements removed from exported messages
+        unwanted: [
+          'button',
+          '[class*="action"]',
+          '[class*="toolbar"]',
+          '[class*="copy"]',
+          '[class*="feedback"]',
+          '[class*="icon"]',
+          '[class*="avatar"]',
+          '[aria-hidden="true"]',
+          'mat-icon',
+          '.material-icons',
+          '[class*="thumb"]',
+          '[class*="rating"]',
+          '[class*="menu"]',
+          '[class*="label"]',
+          '[class*="header"]',
+          '[class*="sender"]',
+          '[class*="author"]'
+        ],
+        // Scrollable conversation pane, tried in order when no message has a scrolling parent
+        scrollContainer: [
+          '[class*="response-container"]',
+          '[class*="chat-history"]',
+          '[class*="message-list"]',
+          '[class*="conversation-content"]',
+          '[class*="chat-content"]'
+        ],
+        // Code block wrapper and the language label above the code
+        codeBlock: 'code-block, [class*="code-block"]',
+        codeBlockLabel: '.code-block-decoration, [class*="code-block-header"]',
+        // Images and videos Gemini generated, shown beside the response text
+        generatedMedia: 'generated-image img, single-image img, [class*="generated-image"] img, ' +
+          '[class*="attachment"] img, video[src], video source[src]',
+        // Search grounding: inline citation markers and the response's source chips
+        sourceMarker: 'source-footnote, sup[data-turn-source-index], [class*="citation"], [class*="source-inline-chip"]',
+        sourceList: 'sources-list, [class*="sources-list"], source-chip, [class*="source-chip"]',
+        // Collapsible reasoning panel ("Show thinking")
+        thinkingPanel: 'model-thoughts, [class*="thoughts-container"]',
+        thinkingToggle: '[data-test-id="thoughts-header-button"], [class*="thoughts-header"] button',
+        thinkingContent: '[data-test-id="thoughts-content"], .thoughts-body, .thoughts-content',
+        // Draft picker ("Show drafts") and the draft choices inside it
+        draftToggle: '[data-test-id="show-drafts-button"], button[aria-label*="drafts" i]',
+        draftOption: '[data-test-id="draft-option"], [class*="draft-preview"], [role="tab"][class*="draft"]',
+        // Sidebar with the chat history, and a conversation entry in it
+        sidebar: 'bard-sidenav, side-navigation-v2, conversations-list, [class*="sidenav"], nav',
+        sidebarChat: 'a[href*="/app/"], [data-test-id="conversation"]',
+        // Where the export button goes in the conversation header, most specific first
+        header: [
+          'top-bar-actions .right-section',
+          'top-bar-actions',
+          '[data-test-id="conversation-actions"]',
+          '.conversation-title-container',
+          '[class*="top-bar"] [class*="right-section"]'
+        ],
+        // Signs that a response is still being written
+        streaming: [
+          'model-response [aria-busy="true"]',
+          'button[aria-label="Stop response"]',
+          'button.stop',
+          'message-content.streaming'
+        ]
+      }
+    }
+  ];
+
+  /**
+   * Find a built-in profile
+   * @param {string} version - Profile version, or empty for the newest
+   * @returns {Object|undefined} Profile
+   */
+  function findProfile(version) {
+    return version ? PROFILES.find(profile => profile.version === version) : PROFILES[0];
+  }
+
+  /**
+   * Check that a selector is valid CSS
+   * @param {string} selector - CSS selector
+   * @returns {boolean} Whether the browser accepts it
+   */
+  function isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return false;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check an override profile
+   * @param {Object} override - Parsed override JSON
+   * @returns {Array<string>} Problems found; empty when the override is usable
+   */
+  function validate(override) {
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      return ['The override must be a JSON object.'];
+    }
+
+    const base = findProfile(override.extends);
+    if (!base) {
+      return [`Unknown profile version in "extends": ${override.extends}`];
+    }
+    if (!override.selectors || typeof override.selectors !== 'object' || Array.isArray(override.selectors)) {
+      return ['The override needs a "selectors" object.'];
+    }
+
+    const errors = [];
+    Object.entries(override.selectors).forEach(([key, value]) => {
+      const expected = base.selectors[key];
+      if (expected === undefined) {
+        errors.push(`Unknown selector "${key}".`);
+      } else if (Array.isArray(expected) !== Array.isArray(value)) {
+        errors.push(`"${key}" must be ${Array.isArray(expected) ? 'a list of selectors' : 'a selector string'}.`);
+      } else {
+        const invalid = [].concat(value).filter(selector => !isValidSelector(selector));
+        if (invalid.length > 0 || (Array.isArray(value) && value.length === 0)) {
+          errors.push(`"${key}" has an invalid selector${invalid.length > 0 ? `: ${invalid.join(', ')}` : ''}.`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Build the selectors to use: a built-in profile patched by an override
+   * An override with problems is ignored rather than half applied
+   * @param {Object|null} override - Override profile from the settings
+   * @returns {Object} Profile with name, version, selectors, and whether the override applies
+   */
+  function resolve(override) {
+    const errors = override ? validate(override) : [];
+    if (!override || errors.length > 0) {
+      return { ...PROFILES[0], overridden: false, errors };
+    }
+
+    const base = findProfile(override.extends);
+    return {
+      name: override.name || `${base.name} (override)`,
+      version: base.version,
+      selectors: { ...base.selectors, ...override.selectors },
+      overridden: true,
+      errors
+    };
+  }
+
+  /**
+   * Count what each selector of a profile matches in a page
+   * @param {Object} selectors - Selectors of a resolved profile
+   * @param {Document|Element} root - Where to look
+   * @returns {Array<Object>} Entries with key, selector and match count; lists get one entry per selector
+   */
+  function check(selectors, root = document) {
+    const results = [];
+    Object.entries(selectors).forEach(([key, value]) => {
+      [].concat(value).forEach(selector => {
+        results.push({ key, selector, count: root.querySelectorAll(selector).length });
+      });
+    });
+    return results;
+  }
+
+  return { PROFILES, validate, resolve, check };
+})();
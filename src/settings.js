@@ -0,0 +1,79 @@
+// User settings shared by the popup and content script
+// Stored under a single key in browser.storage.local
+
+var ExporterSettings = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    // Export format: a key of ChatRenderers.FORMATS
+    format: 'markdown',
+
+    // How images are exported: 'remote' keeps their URLs, 'inline' embeds
+    // them as data URIs, 'bundle' saves them as files next to the export
+    imageMode: 'remote',
+
+    // Markdown layout: a key of ChatRenderers.MARKDOWN_PRESETS, or 'custom'
+    // to use markdownTemplate (edited on the options page)
+    markdownPreset: 'default',
+    markdownTemplate: null,
+
+    // YAML front matter at the top of Markdown exports, with user tags
+    frontMatter: false,
+    frontMatterTags: [],
+
+    // Gemini's reasoning ("Show thinking"): 'omit', 'details' for a
+    // collapsible <details> block, or 'quote' for a blockquote
+    thinking: 'omit',
+
+    // Export every draft of a response, marking the selected one
+    includeDrafts: false,
+
+    // Cover the conversation while an export scrolls through it
+    scrollOverlay: true,
+
+    // Code export: a later code block with the same file path replaces the
+    // earlier one instead of being saved as a numbered copy
+    codeSupersede: false,
+
+    // Keep every exported chat in the local archive (IndexedDB)
+    archiveExports: true,
+
+    // What "Export New Messages" saves: 'full' for the whole updated chat,
+    // 'delta' for only the messages added since the archived export
+    updateOutput: 'full',
+
+    // Auto-save: hostnames where a chat is saved on its own each time Gemini
+    // finishes a response (opt-in per site), and where the saves go
+    autoSaveSites: [],
+    autoSaveArchive: true,
+    autoSaveDownloads: false,
+    // Subfolder of the downloads folder for auto-saved files
+    autoSaveFolder: 'Gemini Chats',
+
+    // Override profile patching the built-in page selectors (see
+    // SelectorProfiles), or null to use the built-in profile as is
+    selectorOverride: null
+  };
+
+  /**
+   * Load settings, filling in defaults for anything not yet saved
+   * @returns {Promise<Object>} Settings
+   */
+  async function load() {
+    const { settings } = await browser.storage.local.get('settings');
+    return { ...DEFAULTS, ...settings };
+  }
+
+  /**
+   * Save changes to some settings, keeping the rest
+   * @param {Object} changes - Settings to update
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function save(changes) {
+    const settings = { ...(await load()), ...changes };
+    await browser.storage.local.set({ settings });
+    return settings;
+  }
+
+  return { DEFAULTS, load, save };
+})();
@@ -0,0 +1,153 @@
+// Minimal ZIP archive writer for bundling exports
+// Runs entirely in the extension: entries are deflated with the browser's
+// CompressionStream and written in the standard PKZIP layout
+
+var ZipWriter = (function() {
+  'use strict';
+
+  const METHOD_STORE = 0;
+  const METHOD_DEFLATE = 8;
+
+  // General purpose flag: file names are UTF-8
+  const FLAG_UTF8 = 0x0800;
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Compute the CRC-32 checksum of some bytes
+   * @param {Uint8Array} bytes - Input bytes
+   * @returns {number} Unsigned CRC-32
+   */
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Convert entry content to bytes
+   * @param {string|Blob|ArrayBuffer|Uint8Array} content - Entry content
+   * @returns {Promise<Uint8Array>} Content bytes
+   */
+  async function toBytes(content) {
+    if (typeof content === 'string') return new TextEncoder().encode(content);
+    if (content instanceof Uint8Array) return content;
+    if (content instanceof ArrayBuffer) return new Uint8Array(content);
+    if (content instanceof Blob) return new Uint8Array(await content.arrayBuffer());
+    throw new Error('Unsupported ZIP entry content');
+  }
+
+  /**
+   * Raw-deflate bytes with CompressionStream
+   * @param {Uint8Array} bytes - Input bytes
+   * @returns {Promise<Uint8Array>} Deflated bytes
+   */
+  async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Encode a date in MS-DOS time/date format
+   * @param {Date} date - Date to encode
+   * @returns {Object} DOS time and date fields
+   */
+  function dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Build a ZIP archive
+   * @param {Array<Object>} entries - Entries with path and content (string, Blob or bytes)
+   * @returns {Promise<Blob>} ZIP archive
+   */
+  async function createZip(entries) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const centralDirectory = [];
+    const usedPaths = new Set();
+    let offset = 0;
+
+    for (const entry of entries) {
+      if (usedPaths.has(entry.path)) {
+        throw new Error(`Duplicate ZIP entry: ${entry.path}`);
+      }
+      usedPaths.add(entry.path);
+
+      const name = encoder.encode(entry.path);
+      const data = await toBytes(entry.content);
+      const crc = crc32(data);
+
+      // Keep the deflated form only when it actually saves space
+      let method = METHOD_STORE;
+      let stored = data;
+      if (data.length > 0 && typeof CompressionStream !== 'undefined') {
+        const deflated = await deflate(data);
+        if (deflated.length < data.length) {
+          method = METHOD_DEFLATE;
+          stored = deflated;
+        }
+      }
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, FLAG_UTF8, true);
+      local.setUint16(8, method, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, stored.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, FLAG_UTF8, true);
+      central.setUint16(10, method, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, stored.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      parts.push(local, name, stored);
+      centralDirectory.push(central, name);
+      offset += 30 + name.length + stored.length;
+    }
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+  }
+
+  return { createZip, crc32 };
+})();
@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, plain } = require('./helpers/page');
+
+/**
+ * Build a conversation turn without response IDs, as Gemini renders some turns
+ * @param {string} id - Turn ID
+ * @param {string} prompt - Prompt text
+ * @param {string} answer - Response markup
+ * @returns {string} Turn HTML
+ */
+function turn(id, prompt, answer) {
+  return `<div class="conversation-container" id="${id}">` +
+    `<user-query><div class="query-text"><p>${prompt}</p></div></user-query>` +
+    `<model-response><div class="model-response-text"><div class="markdown">${answer}</div></div></model-response>` +
+    '</div>';
+}
+
+test('getChatTitle reads the conversation title', () => {
+  const window = loadPage('<title>Gemini</title><span class="conversation-title"> Trip plan </span>');
+  assert.strictEqual(window.ChatExtractor.getChatTitle(), 'Trip plan');
+});
+
+test('getChatTitle skips generic titles and falls back to the page title', () => {
+  const window = loadPage('<title>Trip plan</title><span class="conversation-title">Gemini</span>');
+  assert.strictEqual(window.ChatExtractor.getChatTitle(), 'Trip plan');
+
+  const untitled = loadPage('<title>Google Gemini</title><h1>Gemini</h1>');
+  assert.strictEqual(untitled.ChatExtractor.getChatTitle(), 'Gemini Chat Export');
+});
+
+test('extractMessage removes buttons, icons and toolbars', () => {
+  const window = loadPage(
+    '<model-response><div class="markdown"><!----><p>Answer <mat-icon>info</mat-icon>text</p>' +
+    '<div class="response-toolbar"><button>Copy</button></div><span aria-hidden="true">hidden</span></div></model-response>'
+  );
+  const el = window.document.querySelector('model-response');
+  assert.strictEqual(window.ChatExtractor.extractMessage(el, 'assistant').content, 'Answer text');
+});
+
+test('deduplicateMessages keeps the first message with each ID, in order', () => {
+  const window = loadPage('');
+  const messages = [
+    { id: 'user:a', content: 'first' },
+    { id: 'assistant:a', content: 'answer' },
+    { id: 'user:a', content: 'again' },
+    { id: 'user:b', content: 'second' }
+  ];
+  assert.deepStrictEqual(
+    plain(window.ChatExtractor.deduplicateMessages(messages)).map(msg => msg.content),
+    ['first', 'answer', 'second']
+  );
+});
+
+test('mergeVisibleMessages puts an older window before the collected messages', () => {
+  const window = loadPage('');
+  const messages = [{ id: 'c' }, { id: 'd' }];
+  window.ChatExtractor.mergeVisibleMessages(messages, [{ id: 'a' }, { id: 'b' }], true);
+  assert.deepStrictEqual(messages.map(msg => msg.id), ['a', 'b', 'c', 'd']);
+});
+
+test('mergeVisibleMessages places new messages next to the known ones they follow', () => {
+  const window = loadPage('');
+  const messages = [{ id: 'b', content: 'old' }, { id: 'e' }];
+  const visible = [{ id: 'a' }, { id: 'b', content: 'new' }, { id: 'c' }, { id: 'd' }, { id: 'e' }];
+  window.ChatExtractor.mergeVisibleMessages(messages, visible, true);
+  assert.deepStrictEqual(messages.map(msg => msg.id), ['a', 'b', 'c', 'd', 'e']);
+  // Known messages are refreshed with their current content
+  assert.strictEqual(messages[1].content, 'new');
+});
+
+test('listMessageElements tells repeated prompts apart by their turn', () => {
+  const window = loadPage(turn('t1', 'continue', '<p>One</p>') + turn('t2', 'continue', '<p>Two</p>'));
+  const ids = plain(window.ChatExtractor.listMessageElements().map(entry => entry.id));
+  assert.deepStrictEqual(ids, ['user:t1:0', 'assistant:t1:0', 'user:t2:0', 'assistant:t2:0']);
+});
+
+test('listMessageElements falls back to the text for messages without DOM identity', () => {
+  const window = loadPage('<user-query>continue</user-query><user-query>continue</user-query>');
+  const ids = plain(window.ChatExtractor.listMessageElements().map(entry => entry.id));
+  assert.deepStrictEqual(ids, ['content:user:continue|8#0', 'content:user:continue|8#1']);
+});
+
+test('a selector override changes which elements are read', () => {
+  const window = loadPage('<user-query>Hi</user-query><ai-response><div class="markdown">Hello</div></ai-response>');
+  assert.strictEqual(window.ChatExtractor.listMessageElements().length, 1);
+
+  window.ChatExtractor.applySelectorProfile({ selectorOverride: { selectors: { assistantMessage: 'ai-response' } } });
+  assert.strictEqual(window.ChatExtractor.getProfile().overridden, true);
+  assert.deepStrictEqual(plain(window.ChatExtractor.listMessageElements().map(entry => entry.role)), ['user', 'assistant']);
+});
@@ -0,0 +1,52 @@
+// Golden-file tests: each saved page in test/fixtures is extracted and
+// rendered as Markdown, then compared with the .md file of the same name.
+// After an intended change to the output, refresh the golden files with
+// UPDATE_GOLDEN=1 npm test and review the diff.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { FIXTURES_DIR, listFixtures, loadFixture } = require('./helpers/page');
+const { simulateDraftPicker } = require('./helpers/draft-picker');
+
+// Export dates in the golden files are in UTC
+process.env.TZ = 'UTC';
+const EXPORTED_AT = '2025-01-15T09:30:00.000Z';
+
+for (const name of listFixtures()) {
+  test(`${name} matches its golden Markdown`, async () => {
+    const window = loadFixture(name);
+    const chat = await window.ChatScroller.extractCurrentChat();
+    chat.exportedAt = EXPORTED_AT;
+
+    const markdown = window.ChatRenderers.render(chat, 'markdown', window.ExporterSettings.DEFAULTS).content;
+    const goldenPath = path.join(FIXTURES_DIR, `${name}.md`);
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenPath, markdown);
+    }
+    assert.strictEqual(markdown, fs.readFileSync(goldenPath, 'utf8'));
+  });
+}
+
+test('drafts citing different sources get footnote labels of their own', async () => {
+  const window = loadFixture('drafts');
+  simulateDraftPicker(window);
+  const chat = await window.ChatScroller.extractCurrentChat({ drafts: true });
+
+  const settings = { ...window.ExporterSettings.DEFAULTS, includeDrafts: true };
+  const markdown = window.ChatRenderers.render(chat, 'markdown', settings).content;
+  const definitions = markdown.match(/^\[\^\d+\]: .*$/gm);
+
+  assert.deepStrictEqual(definitions, [
+    '[^1]: [Al-Qarawiyyin](https://example.com/qarawiyyin)',
+    '[^2]: [Saint Catherine\'s Monastery](https://example.org/saint-catherine)',
+    '[^3]: [Malatestiana Library](https://example.com/malatestiana)'
+  ]);
+  assert.match(markdown, /Fez, opened in 859\.\[\^1\]/);
+  assert.match(markdown, /Monastery in Sinai\.\[\^2\]/);
+  assert.match(markdown, /Library in Cesena\.\[\^3\]/);
+});
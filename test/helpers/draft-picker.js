@@ -0,0 +1,42 @@
+// Simulated draft picker
+// Gemini renders only the selected draft of a response and swaps the text
+// and sources in when another draft chip is clicked. Fixtures keep the other
+// drafts in <template class="draft-content" data-turn data-draft> elements;
+// this wires up the chips to swap them in the same way
+
+'use strict';
+
+/**
+ * Make the draft chips of a page switch the response they belong to
+ * @param {Window} window - Page window of a fixture with draft templates
+ */
+function simulateDraftPicker(window) {
+  const document = window.document;
+
+  document.querySelectorAll('template.draft-content').forEach(template => {
+    const response = document.getElementById(template.dataset.turn).querySelector('model-response');
+    const options = Array.from(response.querySelectorAll('[data-test-id="draft-option"]'));
+    const drafts = new Map();
+
+    // The draft on the page, then the one in the template
+    const selected = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+    drafts.set(selected, {
+      text: response.querySelector('message-content').innerHTML,
+      sources: response.querySelector('sources-list').innerHTML
+    });
+    drafts.set(Number(template.dataset.draft), {
+      text: template.content.querySelector('.markdown').outerHTML,
+      sources: template.content.querySelector('sources-list').innerHTML
+    });
+
+    options.forEach((option, index) => {
+      option.addEventListener('click', () => {
+        options.forEach(other => other.setAttribute('aria-selected', String(other === option)));
+        response.querySelector('message-content').innerHTML = drafts.get(index).text;
+        response.querySelector('sources-list').innerHTML = drafts.get(index).sources;
+      });
+    });
+  });
+}
+
+module.exports = { simulateDraftPicker };
@@ -0,0 +1,80 @@
+// Load the extension's extraction scripts into a simulated page
+// The scripts run inside a jsdom window exactly as the browser loads them:
+// as classic scripts sharing the page's globals (ChatExtractor, ...)
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Content scripts in manifest order, without content.js, which wires up the page
+const SCRIPTS = [
+  'settings.js',
+  'selectors.js',
+  'highlight.js',
+  'renderers.js',
+  'markdown.js',
+  'extractor.js',
+  'scroller.js'
+];
+
+// URL of a saved conversation; the extractor reads the conversation ID from it
+const CHAT_URL = 'https://gemini.google.com/app/0123456789abcdef';
+
+/**
+ * Create a page from HTML and load the extraction scripts into it
+ * @param {string} html - Page markup
+ * @param {Object} options - url: page URL
+ * @returns {Window} The page's window, with the scripts' globals on it
+ */
+function loadPage(html, options = {}) {
+  const dom = new JSDOM(html, { runScripts: 'outside-only', url: options.url || CHAT_URL });
+  const window = dom.window;
+
+  // jsdom has no layout, so window scrolling does nothing
+  window.scrollTo = () => {};
+  window.scrollBy = () => {};
+
+  // The waits in the scroll loop give Gemini time to render; simulated pages
+  // render at once, so the waits are skipped
+  window.setTimeout = callback => setImmediate(callback);
+
+  SCRIPTS.forEach(file => window.eval(fs.readFileSync(path.join(SRC_DIR, file), 'utf8')));
+  return window;
+}
+
+/**
+ * List the saved pages in the fixtures folder
+ * @returns {Array<string>} Fixture names, without extension
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.replace(/\.html$/, ''))
+    .sort();
+}
+
+/**
+ * Load a saved page from the fixtures folder
+ * @param {string} name - Fixture name, without extension
+ * @returns {Window} The page's window
+ */
+function loadFixture(name) {
+  return loadPage(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8'));
+}
+
+/**
+ * Copy a value out of the page's realm so node:assert can compare it
+ * Objects made in the page have the page's prototypes, which deepStrictEqual rejects
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Equivalent value from this realm
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { FIXTURES_DIR, loadPage, listFixtures, loadFixture, plain };
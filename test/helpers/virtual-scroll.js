@@ -0,0 +1,76 @@
+// Simulated virtual-scroll container
+// Gemini only keeps the turns near the viewport in the DOM, recreating them
+// as the chat scrolls. This container does the same with fixed-height turns,
+// re-rendering on every scrollTop change, which jsdom cannot do by itself
+
+'use strict';
+
+/**
+ * Build the markup of one conversation turn
+ * @param {string} id - Turn ID
+ * @param {string} prompt - User prompt text
+ * @param {string} answer - Response text
+ * @returns {string} Turn HTML
+ */
+function turnHtml(id, prompt, answer) {
+  return `<div class="conversation-container" id="${id}">` +
+    `<user-query><div class="query-text"><p class="query-text-line">${prompt}</p></div></user-query>` +
+    '<model-response><div class="model-response-text">' +
+    `<message-content id="message-content-id-r_${id}"><div class="markdown"><p>${answer}</p></div></message-content>` +
+    '</div></model-response></div>';
+}
+
+/**
+ * Add a virtual-scroll container to a page
+ * @param {Window} window - Page window
+ * @param {Array<string>} turns - Turn HTML, oldest first
+ * @param {Object} options - turnHeight and viewportHeight in pixels,
+ *   overscan: turns rendered beyond each edge of the viewport, and
+ *   renderDelay: event-loop turns before a scroll shows the new turns
+ * @returns {Object} The container, plus the most turns rendered at once
+ */
+function createVirtualScroll(window, turns, options = {}) {
+  const { turnHeight = 300, viewportHeight = 600, overscan = 1, renderDelay = 0 } = options;
+  const container = window.document.createElement('div');
+  container.className = 'chat-history';
+  container.style.overflowY = 'auto';
+
+  const scrollHeight = turns.length * turnHeight;
+  const state = { container, maxRendered: 0, renders: 0 };
+  let scrollTop = 0;
+
+  const render = () => {
+    const first = Math.max(0, Math.floor(scrollTop / turnHeight) - overscan);
+    const last = Math.min(turns.length, Math.ceil((scrollTop + viewportHeight) / turnHeight) + overscan);
+    container.innerHTML = turns.slice(first, last).join('');
+    state.maxRendered = Math.max(state.maxRendered, last - first);
+    state.renders++;
+  };
+
+  // Like Gemini, render a while after the scroll, at the position scrolled to by then
+  const scheduleRender = (ticks) => {
+    if (ticks === 0) {
+      render();
+    } else {
+      setImmediate(() => scheduleRender(ticks - 1));
+    }
+  };
+
+  Object.defineProperties(container, {
+    scrollHeight: { get: () => scrollHeight },
+    clientHeight: { get: () => viewportHeight },
+    scrollTop: {
+      get: () => scrollTop,
+      set: (value) => {
+        scrollTop = Math.max(0, Math.min(scrollHeight - viewportHeight, Math.round(value)));
+        scheduleRender(renderDelay);
+      }
+    }
+  });
+
+  window.document.body.appendChild(container);
+  render();
+  return state;
+}
+
+module.exports = { turnHtml, createVirtualScroll };
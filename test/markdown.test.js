@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/page');
+
+const window = loadPage('<body><div id="message"></div></body>');
+
+/**
+ * Convert a snippet of message HTML to Markdown
+ * @param {string} html - Message markup
+ * @returns {string} Markdown
+ */
+function toMarkdown(html) {
+  const el = window.document.getElementById('message');
+  el.innerHTML = html;
+  return window.MarkdownConverter.htmlToMarkdown(el);
+}
+
+test('converts inline formatting', () => {
+  assert.strictEqual(
+    toMarkdown('<p>Use <b>bold</b>, <i>italic</i>, <s>old</s> and <a href="https://example.com/a b">a link</a>.</p>'),
+    'Use **bold**, *italic*, ~~old~~ and [a link](https://example.com/a%20b).'
+  );
+});
+
+test('escapes Markdown characters in text', () => {
+  assert.strictEqual(toMarkdown('<p>Not *stars* or _underscores_</p>'), 'Not \\*stars\\* or \\_underscores\\_');
+  assert.strictEqual(
+    toMarkdown('<p>See <a href="https://example.com">[docs] here</a></p>'),
+    'See [\\[docs\\] here](https://example.com)'
+  );
+  assert.strictEqual(toMarkdown('<p>Use &lt;div&gt; here</p>'), 'Use \\<div> here');
+  assert.strictEqual(toMarkdown('<p>~~not~~ struck</p>'), '\\~\\~not\\~\\~ struck');
+});
+
+test('escapes line-start text that reads as a list, quote or heading', () => {
+  assert.strictEqual(
+    toMarkdown('<p>- one<br>+ two<br>1. three<br>2) four<br>&gt; five<br># six</p>'),
+    '\\- one\n\\+ two\n1\\. three\n2\\) four\n\\> five\n\\# six'
+  );
+  assert.strictEqual(toMarkdown('<p>pages 1. to 3. - all of them</p>'), 'pages 1. to 3. - all of them');
+});
+
+test('fences inline code and code blocks longer than the backticks inside', () => {
+  assert.strictEqual(toMarkdown('<p><code>a`b</code></p>'), '``a`b``');
+  assert.strictEqual(toMarkdown('<pre><code class="language-md">a ``` b</code></pre>'), '````md\na ``` b\n````');
+});
+
+test('indents nested lists under their item', () => {
+  assert.strictEqual(
+    toMarkdown('<ol><li>One<ol><li>Nested</li></ol></li><li>Two</li></ol>'),
+    '1. One\n   1. Nested\n2. Two'
+  );
+  assert.strictEqual(toMarkdown('<ul><li>a<ul><li>b</li></ul></li></ul>'), '- a\n  - b');
+});
+
+test('keeps block structure of headings and paragraphs', () => {
+  assert.strictEqual(toMarkdown('<h1>Title</h1><p>line one<br>line two</p>'), '# Title\n\nline one\nline two');
+});
+
+test('falls back to inline HTML for table cells holding blocks', () => {
+  assert.strictEqual(
+    toMarkdown('<table><tr><th>A</th></tr><tr><td><ul><li>x</li><li>y</li></ul></td></tr></table>'),
+    '| A |\n| --- |\n| <ul><li>x</li><li>y</li></ul> |'
+  );
+});
+
+test('drops the "You said" label Gemini puts before a prompt', () => {
+  assert.strictEqual(toMarkdown('<p>You said</p><p>Hi</p>'), 'Hi');
+});
+
+test('writes math markers as inline and display TeX', () => {
+  const el = window.document.getElementById('message');
+  el.innerHTML = '<p>Inline <span class="math-inline" data-math="x^2"><span class="katex">x2</span></span></p>' +
+    '<div class="math-block" data-math="\\int_0^1 f"><span class="katex-display">∫f</span></div>';
+  window.MarkdownConverter.replaceMathNodes(el);
+  assert.strictEqual(window.MarkdownConverter.htmlToMarkdown(el), 'Inline $x^2$\n\n$$\n\\int_0^1 f\n$$');
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, plain } = require('./helpers/page');
+const { turnHtml, createVirtualScroll } = require('./helpers/virtual-scroll');
+
+const TURN_COUNT = 30;
+
+/**
+ * Build a chat where every other prompt is the same word, as in long
+ * "continue" sessions
+ * @returns {Array<string>} Turn HTML, oldest first
+ */
+function buildTurns() {
+  return Array.from({ length: TURN_COUNT }, (_, index) =>
+    turnHtml(`t${index}`, index % 2 ? 'continue' : `Question ${index}`, `Answer ${index}`)
+  );
+}
+
+/**
+ * Open a simulated chat scrolled to the bottom, as Gemini shows it
+ * @returns {Object} Page window and the virtual-scroll state
+ */
+function openChat() {
+  const window = loadPage('<title>Long chat</title>');
+  const scroll = createVirtualScroll(window, buildTurns());
+  scroll.container.scrollTop = scroll.container.scrollHeight;
+  return { window, scroll };
+}
+
+test('finds the virtual-scroll container from the messages in it', () => {
+  const { window, scroll } = openChat();
+  const trace = {};
+  assert.strictEqual(window.ChatScroller.findScrollContainer(trace), scroll.container);
+  assert.strictEqual(trace.strategy, 'message-parent');
+});
+
+test('collects every turn once, in chat order, from a partly rendered chat', async () => {
+  const { window, scroll } = openChat();
+  const trace = {};
+  const chat = await window.ChatScroller.extractCurrentChat({ trace });
+
+  const expected = [];
+  for (let index = 0; index < TURN_COUNT; index++) {
+    expected.push(index % 2 ? 'continue' : `Question ${index}`, `Answer ${index}`);
+  }
+  assert.deepStrictEqual(plain(chat.messages.map(msg => msg.content)), expected);
+  assert.ok(scroll.maxRendered < TURN_COUNT / 3, 'only a window of the chat is rendered at a time');
+  assert.strictEqual(trace.endReason, 'top');
+});
+
+test('waits for turns that render a while after each scroll step', async () => {
+  const window = loadPage('<title>Slow chat</title>');
+  const scroll = createVirtualScroll(window, buildTurns(), { renderDelay: 2 });
+  scroll.container.scrollTop = scroll.container.scrollHeight;
+  const trace = {};
+  const chat = await window.ChatScroller.extractCurrentChat({ trace });
+
+  assert.strictEqual(chat.messages.length, TURN_COUNT * 2);
+  assert.ok(trace.adaptiveWaits > 0, 'new messages did not extend the wait');
+});
+
+test('keeps repeated prompts as separate messages', async () => {
+  const { window } = openChat();
+  const chat = await window.ChatScroller.extractCurrentChat();
+  const ids = chat.messages.map(msg => msg.id);
+
+  assert.strictEqual(new Set(ids).size, ids.length);
+  assert.strictEqual(chat.messages.filter(msg => msg.content === 'continue').length, TURN_COUNT / 2);
+});
+
+test('returns the reader to where they were', async () => {
+  const { window, scroll } = openChat();
+  scroll.container.scrollTop = 4200;
+  await window.ChatScroller.extractCurrentChat();
+  assert.strictEqual(scroll.container.scrollTop, 4200);
+});
+
+test('stops at the messages of an earlier export and keeps the older ones', async () => {
+  const { window } = openChat();
+  const full = await window.ChatScroller.extractCurrentChat();
+
+  // The earlier export ended five turns before the end of the chat
+  const previous = { messages: full.messages.slice(0, (TURN_COUNT - 5) * 2) };
+  const trace = {};
+  const chat = await window.ChatScroller.extractCurrentChat({ previous, trace });
+
+  assert.strictEqual(trace.endReason, 'known-messages');
+  assert.ok(trace.steps < 10, `scrolled ${trace.steps} steps instead of through the whole chat`);
+  assert.deepStrictEqual(plain(chat.messages.map(msg => msg.id)), plain(full.messages.map(msg => msg.id)));
+});
+
+test('reads only reasoning panels already open when asked not to expand them', async () => {
+  const window = loadPage(
+    '<div class="conversation-container" id="t1">' +
+    '<user-query><div class="query-text"><p>Why?</p></div></user-query>' +
+    '<model-response><model-thoughts><button data-test-id="thoughts-header-button" aria-expanded="false">Show thinking</button></model-thoughts>' +
+    '<div class="model-response-text"><message-content id="message-content-id-r_1"><div class="markdown"><p>Because.</p></div></message-content></div>' +
+    '</model-response></div>'
+  );
+  const toggle = window.document.querySelector('[data-test-id="thoughts-header-button"]');
+  let clicks = 0;
+  toggle.addEventListener('click', () => clicks++);
+
+  const chat = await window.ChatScroller.extractCurrentChat({ thinking: true, expandThinking: false });
+  assert.strictEqual(clicks, 0);
+  assert.strictEqual(chat.messages[1].content, 'Because.');
+});
+
+test('leaves the view alone when asked not to scroll, keeping archived turns around it', async () => {
+  const { window, scroll } = openChat();
+  const full = await window.ChatScroller.extractCurrentChat();
+
+  // The reader has scrolled up to the middle of a chat saved in full
+  scroll.container.scrollTop = 4200;
+  const renders = scroll.renders;
+  const chat = await window.ChatScroller.extractCurrentChat({ previous: full, scroll: false });
+
+  assert.strictEqual(scroll.container.scrollTop, 4200);
+  assert.strictEqual(scroll.renders, renders, 'the chat was scrolled');
+  assert.deepStrictEqual(plain(chat.messages.map(msg => msg.id)), plain(full.messages.map(msg => msg.id)));
+});